@@ -73,22 +73,290 @@
 //   * Although we use 100 cards / 10 piles to illustarate, 
 //
 //
+// 3. Named cards.
+// * Positions are all the algorithm needs, but if we know what order the real deck starts in (a SoftDeckDefinition - new deck order, a decklist, etc),
+//   the card at starting position i is named, and as the value at initialDeck[i] is where it ends up we can also say which card lands where.
+//
 // Other notes 
 // * For 3 passes, the first pass will deal out the cards into piles that are decks of a size that can then each be dealt in a 2 pass deal.
 //    * Hence a 4 pass would be possible with the numPiles >= fouthRoot(numCards), 5 pass with fifthRoot(numCards) and so on, it just isn't particularly practical. 
 
 
 //Quick and dirty logger functions that can be tweaked later if needed.
+//Logging is the debugging story in the browser, so it's on there by default, but off under Node where it would swamp stdout.
+let softLogEnabled = (typeof window !== "undefined");
+function setSoftLogging(enabled){
+    softLogEnabled = enabled;
+}
 function sLog(text, obj){
+    if(!softLogEnabled){
+      return;
+    }
     console.log(text);
     console.log(obj);
     console.log("\n");
 }
 function sLog0(text){
+    if(!softLogEnabled){
+      return;
+    }
     console.log(text);
     console.log("\n");
 }
 
+//The browser gives us crypto as a global (self.crypto), as does Node 19+ (globalThis.crypto). Older Node needs it pulling in from node:crypto,
+//and before Node 15 there is no webcrypto at all, so we wrap randomFillSync (which fills typed arrays in the same way).
+function softCrypto(){
+    if(typeof globalThis !== "undefined" && globalThis.crypto && globalThis.crypto.getRandomValues){
+      return globalThis.crypto;
+    }
+    if(typeof require === "function"){
+      const nodeCrypto = require("crypto");
+      if(nodeCrypto.webcrypto){
+        return nodeCrypto.webcrypto;
+      }
+      return {getRandomValues: function(array){ return nodeCrypto.randomFillSync(array); }};
+    }
+    throw new Error("No crypto.getRandomValues() available on this platform.");
+}
+
+// Random sources.
+// Anything with a getRandomValues(typedArray) method (the same shape as crypto) can drive randomiseDeck(), so crypto itself is the default source.
+// The others are:
+// * SoftMathRandomSource - Math.random, possibly useful for debugging or compatibility (NOT suitable for real shuffles).
+// * SoftSeededRandomSource - a deterministic ChaCha20 stream keyed from a user supplied seed, so a shuffle can be re-derived and audited later.
+//   The key is SHA-256 of the UTF-8 seed text, the nonce is 0 and the block counter starts at 0 (as RFC 8439), bytes are handed out in stream order.
+//   Anyone with the seed, the settings and this version of the code can regenerate exactly the same permutation and deal instructions.
+class SoftMathRandomSource{
+  getRandomValues(array){
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    for(let i = 0; i < bytes.length; i++){
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+    return array;
+  }
+}
+
+class SoftSeededRandomSource{
+  seed = "";
+  key = null;
+  blockCounter = 0;
+  block = new Uint8Array(64);
+  blockPos = 64;
+
+  constructor(seed){
+    this.seed = String(seed);
+    const keyBytes = softSha256(new TextEncoder().encode(this.seed));
+    this.key = new Uint32Array(8);
+    for(let i = 0; i < 8; i++){
+      this.key[i] = keyBytes[i*4] | (keyBytes[i*4 + 1] << 8) | (keyBytes[i*4 + 2] << 16) | (keyBytes[i*4 + 3] << 24);
+    }
+  }
+
+  getRandomValues(array){
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    for(let i = 0; i < bytes.length; i++){
+      if(this.blockPos == 64){
+        this.nextBlock();
+      }
+      bytes[i] = this.block[this.blockPos++];
+    }
+    return array;
+  }
+
+  //The ChaCha20 block function, see RFC 8439 section 2.3.
+  nextBlock(){
+    const state = new Uint32Array(16);
+    state.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]);
+    state.set(this.key, 4);
+    state[12] = this.blockCounter;
+    //state[13-15] is the nonce, which we leave as 0.
+    const working = state.slice();
+    function quarterRound(a, b, c, d){
+      working[a] += working[b]; working[d] ^= working[a]; working[d] = (working[d] << 16) | (working[d] >>> 16);
+      working[c] += working[d]; working[b] ^= working[c]; working[b] = (working[b] << 12) | (working[b] >>> 20);
+      working[a] += working[b]; working[d] ^= working[a]; working[d] = (working[d] << 8) | (working[d] >>> 24);
+      working[c] += working[d]; working[b] ^= working[c]; working[b] = (working[b] << 7) | (working[b] >>> 25);
+    }
+    for(let i = 0; i < 10; i++){
+      quarterRound(0, 4, 8, 12); quarterRound(1, 5, 9, 13); quarterRound(2, 6, 10, 14); quarterRound(3, 7, 11, 15);
+      quarterRound(0, 5, 10, 15); quarterRound(1, 6, 11, 12); quarterRound(2, 7, 8, 13); quarterRound(3, 4, 9, 14);
+    }
+    for(let i = 0; i < 16; i++){
+      const word = (working[i] + state[i]) >>> 0;
+      this.block[i*4] = word & 0xff;
+      this.block[i*4 + 1] = (word >>> 8) & 0xff;
+      this.block[i*4 + 2] = (word >>> 16) & 0xff;
+      this.block[i*4 + 3] = (word >>> 24) & 0xff;
+    }
+    this.blockCounter = (this.blockCounter + 1) >>> 0;
+    this.blockPos = 0;
+  }
+}
+
+//Pick the random source for a shuffle - an explicitly supplied source wins, then a seed, then the useCryptoRNG setting.
+function softRandomSource(useCryptoRNG, seed, randomSource){
+    if(randomSource){
+      return randomSource;
+    }
+    if(seed !== undefined && seed !== null && String(seed) !== ""){
+      return new SoftSeededRandomSource(seed);
+    }
+    if(useCryptoRNG === false){
+      return new SoftMathRandomSource();
+    }
+    return softCrypto();
+}
+
+//Synchronous SHA-256 (FIPS 180-4) of a Uint8Array - crypto.subtle.digest() is async only, and we need to key the seeded source inline.
+function softSha256(message){
+    const k = new Uint32Array([
+      0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+      0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+      0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+      0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+      0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+      0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+      0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+      0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2]);
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+
+    //Pad to a multiple of 64 bytes: a 1 bit, zeros, then the length in bits as a 64 bit big-endian number.
+    const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(message);
+    padded[message.length] = 0x80;
+    const bitLength = message.length * 8;
+    padded[paddedLength - 5] = Math.floor(bitLength / 0x100000000) & 0xff;
+    for(let i = 0; i < 4; i++){
+      padded[paddedLength - 1 - i] = (bitLength >>> (i * 8)) & 0xff;
+    }
+
+    const rotr = function(x, n){ return (x >>> n) | (x << (32 - n)); };
+    const w = new Uint32Array(64);
+    for(let chunk = 0; chunk < paddedLength; chunk += 64){
+      for(let i = 0; i < 16; i++){
+        w[i] = (padded[chunk + i*4] << 24) | (padded[chunk + i*4 + 1] << 16) | (padded[chunk + i*4 + 2] << 8) | padded[chunk + i*4 + 3];
+      }
+      for(let i = 16; i < 64; i++){
+        const s0 = rotr(w[i-15], 7) ^ rotr(w[i-15], 18) ^ (w[i-15] >>> 3);
+        const s1 = rotr(w[i-2], 17) ^ rotr(w[i-2], 19) ^ (w[i-2] >>> 10);
+        w[i] = w[i-16] + s0 + w[i-7] + s1;
+      }
+      let [a, b, c, d, e, f, g, hh] = h;
+      for(let i = 0; i < 64; i++){
+        const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const temp1 = (hh + s1 + ch + k[i] + w[i]) >>> 0;
+        const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const temp2 = (s0 + maj) >>> 0;
+        hh = g; g = f; f = e; e = (d + temp1) >>> 0;
+        d = c; c = b; b = a; a = (temp1 + temp2) >>> 0;
+      }
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+
+    const digest = new Uint8Array(32);
+    for(let i = 0; i < 8; i++){
+      digest[i*4] = h[i] >>> 24;
+      digest[i*4 + 1] = (h[i] >>> 16) & 0xff;
+      digest[i*4 + 2] = (h[i] >>> 8) & 0xff;
+      digest[i*4 + 3] = h[i] & 0xff;
+    }
+    return digest;
+}
+
+//Bytes as lowercase hex, two digits each.
+function softHex(bytes){
+    let hex = "";
+    for(const byte of bytes){
+      hex += byte.toString(16).padStart(2, "0");
+    }
+    return hex;
+}
+
+//SHA-256 (as hex) of text's UTF-8, as a Promise - from crypto.subtle where there is one, and softSha256() where there isn't
+//(browsers only give pages served over http crypto.subtle in a secure context, and Node before 15 has none). Both give the same digest.
+function softSha256Hex(text){
+    const bytes = new TextEncoder().encode(text);
+    let subtle = null;
+    try {
+      subtle = softCrypto().subtle || null;
+    } catch(e) {
+      sLog0("No crypto.subtle, hashing with softSha256(): " + e.message);
+    }
+    if(subtle == null){
+      return Promise.resolve(softHex(softSha256(bytes)));
+    }
+    return subtle.digest("SHA-256", bytes).then(function(digest){ return softHex(new Uint8Array(digest)); });
+}
+
+
+// Hands out random bits exactly as many at a time as asked for, fetching them from a random source in large blocks.
+// Rejection sampling only needs minNumBitsNeeded bits per draw (often only a handful), so fetching a fresh Uint16 per draw both threw
+// away most of every fetch and capped the range at 65535. Here a single getRandomValues() call feeds thousands of draws,
+// and draws can be up to 53 bits (the most a JS number holds exactly), so ranges up to 2^53 work.
+// Bits are taken most significant first from each 32 bit word (words are in platform byte order - little-endian on anything we run on),
+// which matters only for re-deriving a seeded shuffle by hand.
+class SoftRandomBitPool{
+  randomSource = null;
+  words = null;
+  wordPos = 0;
+  currentWord = 0;
+  bitsLeft = 0;
+  //Instrumentation - how many times we've gone back to the random source.
+  numFetches = 0;
+
+  //1024 words is 4KB per fetch - well under the 64KB getRandomValues() allows in one call.
+  constructor(randomSource = softCrypto(), blockSizeWords = 1024){
+    this.randomSource = randomSource;
+    this.words = new Uint32Array(blockSizeWords);
+    this.wordPos = blockSizeWords;
+  }
+
+  nextWord(){
+    if(this.wordPos == this.words.length){
+      this.randomSource.getRandomValues(this.words);
+      this.numFetches++;
+      this.wordPos = 0;
+    }
+    this.currentWord = this.words[this.wordPos++];
+    this.bitsLeft = 32;
+  }
+
+  //Build the result a chunk at a time from the top of the current word.
+  //We use multiplication / modulo by powers of 2 rather than shifts/masks as bitwise operators are 32 bit signed in JS.
+  nextBits(numBits){
+    if(numBits > 53){
+      throw new RangeError("Can only draw up to 53 bits at a time (asked for " + numBits + ").");
+    }
+    let result = 0;
+    while(numBits > 0){
+      if(this.bitsLeft == 0){
+        this.nextWord();
+      }
+      const take = Math.min(numBits, this.bitsLeft);
+      const chunk = (this.currentWord >>> (this.bitsLeft - take)) % Math.pow(2, take);
+      result = result * Math.pow(2, take) + chunk;
+      this.bitsLeft -= take;
+      numBits -= take;
+    }
+    return result;
+  }
+}
+
+//Minimum number of bits needed to encode maxValue (see the table above rejectionSample()).
+//Counted by halving rather than Math.ceil(Math.log2(maxValue + 1)), which rounds the wrong way for large values just above a power of 2.
+function softBitLength(maxValue){
+    let numBits = 0;
+    while(maxValue >= 1){
+      numBits++;
+      maxValue = Math.floor(maxValue / 2);
+    }
+    return numBits;
+}
+
 //0-deck-bottomed array (so 0 is the BOTTOM of the deck, n-1 is thre TOP)
 class SoftDeck{
   deckSize = 0;
@@ -117,120 +385,12 @@ class SoftDeck{
   }
 
 
-  //Random sampler tester - need to look in console logging for output.
-  //We care about (all axes numCards):
-  //returnRangeArr [maxValueInRange][returnedValue] -> accumulator (shows trends of returned values when the range changes)
-  //positionvalueArr [position][value] -> accumulator  (shows trends of where numbers end up vs where they started)
-  //numRejectionArr [maxValueInRange][11?] -> numRejections accumulator (have 10 be 10+ rejections, which should be vanishingly rare.)
-  //numPositionSwapped [maxValueInRange] -> number of times each position is swapped.
-randomSampleTester(useRejectionSampling, useCryptoRNG){
-
-  //these are relatively small values, real testing use larger
-  let testNumCards = 10;
-  let outerLoops = 2;
-  let innerLoops = 10000;
-  let multiPassLoops = 1;
-  
-  let returnRangeArr = [];
-  let positionvalueArr = [];
-  let numRejectionArr = [];
-  let numPositionSwapped = [];
-  
-  for(let i = 0; i < testNumCards; i++){
-    returnRangeArr[i] = [];
-    positionvalueArr[i] = [];
-    numRejectionArr[i] = [];
-    numPositionSwapped[i] = 0;
-    for(let j = 0; j < testNumCards; j++){
-      returnRangeArr[i][j] = 0;
-      positionvalueArr[i][j] = 0;
-      for(let k = 0; k < 11; k++){
-          numRejectionArr[i][k] = 0;
-      }
-    }
-  }
-
-  sLog0("RandomSamplingTester ")
-  sLog("returnRangeArr: ", returnRangeArr);
-  sLog("positionvalueArr", positionvalueArr);
-  sLog("numRejectionArr", numRejectionArr);
-  sLog("numPositionSwapped", numPositionSwapped);
-
-for(let x = 0; x < outerLoops; x++){
-  
-  for(let y = 0; y < innerLoops; y++){
-      let testDeck = [];
-      for(let i = 0; i < testNumCards; i++){
-        testDeck[i] = i;
-      }
-
-      //Try multi-pass shuffling
-      for(let z = 0; z < multiPassLoops; z++){
-
-        //This is essentially randomiseDeck() but with instrumentation
-        for (let i = testNumCards - 1; i > 0; i--) {
-          //Generate j, where i >= j >= 0
-          let j = -1;
-
-          if(useRejectionSampling == true){
-            //Rejection Sampling with cryptoRNG 
-            let instrumentation = [];
-            j = this.rejectionSampleInstrumented(i, instrumentation);
-            //instrumentation
-            let numRejections = instrumentation[0];
-            if(numRejections < 10){
-              numRejectionArr[i][numRejections]++;
-            } else {
-              numRejectionArr[i][10]++;
-            }
-
-          } else if (useCryptoRNG == true){
-            //Scaled but using cryptoRNG - probably a tiny bit of rounding bias still.
-            let randomArray = new Uint16Array(1);
-            self.crypto.getRandomValues(randomArray);
-            let zeroToOne = randomArray[0] / 65535;
-            j = Math.floor(zeroToOne * (Math.floor(i) - Math.ceil(0) + 1) + Math.ceil(0)); 
-    
-          } else {
-              //Fallback use Math.random - possibly useful for debugging or compatibility.
-              j = Math.floor(Math.random() * (Math.floor(i) - Math.ceil(0) + 1) + Math.ceil(0)); 
-          }
-
-          if(i != j){
-            numPositionSwapped[i]++;
-            numPositionSwapped[j]++;
-          }
-
-          returnRangeArr[i][j]++;
-
-          //Swap
-          [testDeck[i], testDeck[j]] = [testDeck[j], testDeck[i]];
-          
-        }
-
-      }
-
-      for(let i = 0; i < testNumCards; i++){
-        positionvalueArr[i][testDeck[i]]++;
-      }
-
-    }
-    sLog0("RandomSamplingTester loop " + x + " of " + outerLoops );
-    sLog0("RandomSamplingTester innerLoops are " + innerLoops + " of " + testNumCards + " cards ");
-  }
-    sLog0("RandomSamplingTester Results ");
-    sLog("returnRangeArr: ", returnRangeArr);
-    sLog("positionvalueArr", positionvalueArr);
-    sLog("numRejectionArr", numRejectionArr);
-    sLog("numPositionSwapped", numPositionSwapped);
-
-}
-
   // Rejection sampling - generate a random number from a range greater than what is desired, if it's above the range we are interested in, reject it and pick again. 
   // This avoids any biases from wrapping numbers round, division rounding, etc.
   // We only want to sample from the same number of bits as the minimum number required to encode the largest value we want as a possibility.
-  // getRandomValues will give us a fixed number of bits (Uint8 / 16 / etc), so we mask any bits above this minimum-largest-needed-bit to achieve that.
-  // A future optimisation would be to generate a large array of random numbers and wrap it in a class that can export a stream of only the number of bits needed.
+  // getRandomValues will give us a fixed number of bits (Uint8 / 16 / etc), so we draw from a SoftRandomBitPool, which hands out exactly minNumBitsNeeded bits
+  // (the equivalent of masking off the bits above the minimum-largest-needed-bit) and keeps the rest for the next draw.
+  // The pool's bits come from a random source (anything with getRandomValues(), see the random sources above), crypto by default.
   // The usual Fisher-Yates implementation uses indexes of 0-i, so we only care about max as the 0 and range are implied.
   // There's a bit of subtlety to the bit twiddling going on here, and I think the simplest way to make it understandable is to include a small table
   // of relevant logs, powers, encodings, etc.
@@ -253,18 +413,14 @@ for(let x = 0; x < outerLoops; x++){
   //  Max value x bits can encode (assuming unsigned, which starts at 0, this is (2 ^ x) - 1  ).
   //      -			  1,			3,			7,			15,			31,			63,			127,			255,			511,			1023	
   //
-  rejectionSample(maxValueInRange){
+  //randomBits is the SoftRandomBitPool to draw from - required, and shared across a whole shuffle, so each draw only takes the bits it needs.
+  rejectionSample(maxValueInRange, randomBits){
     
-    let minNumBitsNeeded = Math.ceil(Math.log2(maxValueInRange + 1));
-    let mask = Math.pow(2, minNumBitsNeeded) - 1;
+    let minNumBitsNeeded = softBitLength(maxValueInRange);
 
     while(true){
-      //For now we'll do them individually - masking should give us less than 50/50 rejection   
-      //Uint16 because Uint8 is 0-255, 16 is 0 - 65535.
-      let randomArray = new Uint16Array(1);
-      self.crypto.getRandomValues(randomArray);
-      
-      let masked = randomArray[0] & mask;
+      //Only using the minimum number of bits should give us less than 50/50 rejection   
+      let masked = randomBits.nextBits(minNumBitsNeeded);
 
       if(masked <= maxValueInRange)
       {
@@ -272,20 +428,15 @@ for(let x = 0; x < outerLoops; x++){
       }
     }
   }
-//Check identical to above except for added instrumentation - lack of function overloading in JS.
-  rejectionSampleInstrumented(maxValueInRange, instrumentation){
+//Check identical to above except for added instrumentation - lack of function overloading in JS. Used by soft_shuffle_stats.js.
+  rejectionSampleInstrumented(maxValueInRange, instrumentation, randomBits){
     
-    let minNumBitsNeeded = Math.ceil(Math.log2(maxValueInRange + 1));
-    let mask = Math.pow(2, minNumBitsNeeded) - 1;
+    let minNumBitsNeeded = softBitLength(maxValueInRange);
 
     let numRejections = 0; //Instrumentation
     while(true){
-      //For now we'll do them individually - masking should give us less than 50/50 rejection   
-      //Uint16 because Uint8 is 0-255, 16 is 0 - 65535.
-      let randomArray = new Uint16Array(1);
-      self.crypto.getRandomValues(randomArray);
-      
-      let masked = randomArray[0] & mask;
+      //Only using the minimum number of bits should give us less than 50/50 rejection   
+      let masked = randomBits.nextBits(minNumBitsNeeded);
 
       if(masked <= maxValueInRange)
       {
@@ -299,31 +450,29 @@ for(let x = 0; x < outerLoops; x++){
 
 
   //Use Fisher-Yates to randomise
-  //Use rejectionSampling and cryptoRNG by default - to turn off needs bool setting in code - there in case of compatability issues down the road.
+  //Use rejectionSampling and crypto as the randomSource by default - to turn off needs setting in code - there in case of compatability issues down the road.
   //Use j = Math.floor(zeroToOneRNG * (maxNumFloored - minNumCeiled + 1) + minNumCeiled) to ensure inclusive of 0 & i.
-  randomiseDeck(useCryptoRNG, useRejectionSampling) {
+  //Returns the number of times we had to fetch from the random source.
+  randomiseDeck(randomSource = softCrypto(), useRejectionSampling = true) {
 
+    const randomBits = new SoftRandomBitPool(randomSource);
     for (let i = this.deckSize - 1; i > 0; i--) {
       let j = -1;
 
       if(useRejectionSampling == true){
-        //Rejection Sampling with cryptoRNG 
-        j = this.rejectionSample(i);
-
-      } else if (useCryptoRNG == true){
-        //Scaled but using cryptoRNG - probably a tiny bit of rounding bias still.
-        let randomArray = new Uint16Array(1);
-        self.crypto.getRandomValues(randomArray);
-        let zeroToOne = randomArray[0] / 65535;
-        j = Math.floor(zeroToOne * (Math.floor(i) - Math.ceil(0) + 1) + Math.ceil(0)); 
+        //Rejection Sampling 
+        j = this.rejectionSample(i, randomBits);
 
       } else {
-        //Fallback use Math.random - possibly useful for debugging or compatibility.
-        j = Math.floor(Math.random() * (Math.floor(i) - Math.ceil(0) + 1) + Math.ceil(0)); 
+        //Scaled - probably a tiny bit of rounding bias still.
+        //Divide by 2^16 (not 65535) so zeroToOne stays below 1 - otherwise j can be i + 1.
+        let zeroToOne = randomBits.nextBits(16) / 65536;
+        j = Math.floor(zeroToOne * (Math.floor(i) - Math.ceil(0) + 1) + Math.ceil(0)); 
       }
 
       [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
     }
+    return randomBits.numFetches;
   }
 
   applyFuncToDeck(decisionFunc, numPiles){
@@ -335,6 +484,176 @@ for(let x = 0; x < outerLoops; x++){
   }
 }
 
+// A deck of named cards in a known starting order, so the final order can be given by card name rather than position.
+// Card names are listed TOP card first (the order they come off a face-down deck, and the order people write decklists in),
+// cardNameAtPosition() converts to our 0-is-bottom positions.
+// Built-in definitions come from softDeckDefinition(type), custom ones (eg an MTG decklist) from softDeckDefinitionFromText().
+class SoftDeckDefinition{
+  name = "";
+  topFirstCardNames = [];
+
+  constructor(name, topFirstCardNames){
+    this.name = name;
+    this.topFirstCardNames = topFirstCardNames.slice();
+  }
+
+  numCardsGetter(){
+    return this.topFirstCardNames.length;
+  }
+
+  cardNameAtPosition(position){
+    return this.topFirstCardNames[this.topFirstCardNames.length - 1 - position];
+  }
+
+  //The final order of the cards, top first, given a permutation (permutation[i] is where the card starting at position i ends up).
+  finalOrder(permutation){
+    const finalTopFirst = Array(permutation.length);
+    for(let i = 0; i < permutation.length; i++){
+      finalTopFirst[permutation.length - 1 - permutation[i]] = this.cardNameAtPosition(i);
+    }
+    return finalTopFirst;
+  }
+}
+
+//New deck order as it comes out of the box, face down: A-K of spades, A-K of diamonds, K-A of clubs, K-A of hearts.
+function softStandardCardNames(){
+    const ranks = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"];
+    const names = [];
+    for(const [suit, ascending] of [["♠", true], ["♦", true], ["♣", false], ["♥", false]]){
+      const suitRanks = ascending ? ranks : ranks.slice().reverse();
+      for(const rank of suitRanks){
+        names.push(rank + suit);
+      }
+    }
+    return names;
+}
+
+function softTarotCardNames(){
+    const names = ["0 The Fool", "I The Magician", "II The High Priestess", "III The Empress", "IV The Emperor", "V The Hierophant",
+                   "VI The Lovers", "VII The Chariot", "VIII Strength", "IX The Hermit", "X Wheel of Fortune", "XI Justice",
+                   "XII The Hanged Man", "XIII Death", "XIV Temperance", "XV The Devil", "XVI The Tower", "XVII The Star",
+                   "XVIII The Moon", "XIX The Sun", "XX Judgement", "XXI The World"];
+    const ranks = ["Ace", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten", "Page", "Knight", "Queen", "King"];
+    for(const suit of ["Wands", "Cups", "Swords", "Pentacles"]){
+      for(const rank of ranks){
+        names.push(rank + " of " + suit);
+      }
+    }
+    return names;
+}
+
+//Built-in decks: "standard52", "standard54" (2 jokers on top), "shoeN" (N standard decks stacked, deck 1 on top), "tarot".
+//Returns null for anything else.
+function softDeckDefinition(type){
+    if(type == "standard52"){
+      return new SoftDeckDefinition("Standard 52 (new deck order)", softStandardCardNames());
+    }
+    if(type == "standard54"){
+      return new SoftDeckDefinition("Standard 52 + 2 jokers", ["Joker", "Joker"].concat(softStandardCardNames()));
+    }
+    const shoeMatch = /^shoe(\d+)$/.exec(type);
+    if(shoeMatch != null){
+      const numDecks = parseInt(shoeMatch[1]);
+      let names = [];
+      for(let i = 1; i <= numDecks; i++){
+        names = names.concat(softStandardCardNames().map(function(name){ return name + " (deck " + i + ")"; }));
+      }
+      return new SoftDeckDefinition(numDecks + "-deck shoe", names);
+    }
+    if(type == "tarot"){
+      return new SoftDeckDefinition("Tarot (78)", softTarotCardNames());
+    }
+    return null;
+}
+
+//Parse a plain text card list, one card per line, top card first. A leading count repeats the card ("4 Lightning Bolt", "4x Lightning Bolt").
+//Blank lines, comments (# or //) and section headers like "Deck" or "Sideboard:" are skipped, as is an MTG Arena style set/collector number suffix ("(M10) 146").
+//Cards after a "Sideboard" header are ignored, as they aren't part of the deck being shuffled.
+function softDeckDefinitionFromText(name, text){
+    const names = [];
+    for(let line of text.split(/\r?\n/)){
+      line = line.trim();
+      if(line === "" || line.startsWith("#") || line.startsWith("//")){
+        continue;
+      }
+      if(/^sideboard:?$/i.test(line)){
+        break;
+      }
+      if(/^(deck|main|maindeck|mainboard|commander|companion):?$/i.test(line)){
+        continue;
+      }
+      let count = 1;
+      const countMatch = /^(\d+)x?\s+(?!of\s)(.+)$/i.exec(line);
+      if(countMatch != null){
+        count = parseInt(countMatch[1]);
+        line = countMatch[2];
+      }
+      line = line.replace(/\s+\([A-Za-z0-9]+\)(\s+\S+)?$/, "").trim();
+      for(let i = 0; i < count; i++){
+        names.push(line);
+      }
+    }
+    return new SoftDeckDefinition(name, names);
+}
+
+//A card name reduced to what identifies the card, so the same card typed different ways matches: standard cards as rank + suit letter
+//("AS", "A♠", "ace of spades" and "As" are all "AS", T is 10), keeping a shoe's " (deck N)". Anything else just ignores case and spacing.
+function softCardKey(name){
+    const key = String(name).trim().toLowerCase().replace(/\s+/g, " ");
+    const deckMatch = /^(.*?)\s*(\(deck \d+\))$/.exec(key);
+    const card = deckMatch != null ? deckMatch[1] : key;
+    const ranks = {a: "A", ace: "A", t: "10", ten: "10", j: "J", jack: "J", q: "Q", queen: "Q", k: "K", king: "K",
+                   two: "2", three: "3", four: "4", five: "5", six: "6", seven: "7", eight: "8", nine: "9"};
+    const suits = {"♠": "S", "♥": "H", "♦": "D", "♣": "C", s: "S", h: "H", d: "D", c: "C", spades: "S", hearts: "H", diamonds: "D", clubs: "C"};
+    const cardMatch = /^(10|[2-9]|[a-z]+)\s*(?:of\s+)?([♠♥♦♣]|spades|hearts|diamonds|clubs|[shdc])$/.exec(card);
+    if(cardMatch == null){
+      return key;
+    }
+    const rank = /^\d+$/.test(cardMatch[1]) ? cardMatch[1] : ranks[cardMatch[1]];
+    if(rank === undefined){
+      return key;
+    }
+    return rank + suits[cardMatch[2]] + (deckMatch != null ? " " + deckMatch[2] : "");
+}
+
+//The permutation (0-bottomed, as SoftPlanner.plan() uses) that sorts a deck whose cards are currentTopFirst into targetTopFirst, matching
+//names with softCardKey(). Repeated cards (eg 4 Lightning Bolt) keep their relative order. Throws a RangeError listing any cards that don't match up.
+function softSortPermutation(currentTopFirst, targetTopFirst){
+    const numCards = targetTopFirst.length;
+    const targetPositions = new Map();
+    for(let i = numCards - 1; i >= 0; i--){
+      const key = softCardKey(targetTopFirst[i]);
+      if(!targetPositions.has(key)){
+        targetPositions.set(key, []);
+      }
+      targetPositions.get(key).push(numCards - 1 - i);
+    }
+    const permutation = [];
+    const notInTarget = [];
+    for(let i = currentTopFirst.length - 1; i >= 0; i--){
+      const positions = targetPositions.get(softCardKey(currentTopFirst[i]));
+      if(positions === undefined || positions.length == 0){
+        notInTarget.push(currentTopFirst[i]);
+      } else {
+        permutation.push(positions.shift());
+      }
+    }
+    const missing = [];
+    for(let i = 0; i < numCards; i++){
+      const positions = targetPositions.get(softCardKey(targetTopFirst[i]));
+      if(positions.includes(numCards - 1 - i)){
+        missing.push(targetTopFirst[i]);
+      }
+    }
+    if(notInTarget.length > 0 || missing.length > 0){
+      const list = function(names){ return names.slice(0, 10).join(", ") + (names.length > 10 ? " and " + (names.length - 10) + " more" : "") + "."; };
+      throw new RangeError("The deck doesn't match the order to sort into" + (currentTopFirst.length != numCards ? " (" + currentTopFirst.length + " cards, should be " + numCards + ")." : ".")
+                           + (notInTarget.length > 0 ? " Not in the target order: " + list(notInTarget) : "")
+                           + (missing.length > 0 ? " Missing from the deck: " + list(missing) : ""));
+    }
+    return permutation;
+}
+
 // deckOrderedPilesToDealTo is 0-bottomed (so 0 is the instruction for the bottom of the deck to match SoftDecks)
 // dealOrderedPilesToDealTo is that reversed, so we can iterate through them normally (from [0] forward)) - 
 // useful for mapping out the instructions to the user.
@@ -343,10 +662,13 @@ class SoftInstructions{
   deckOrderedPilesToDealTo = [];
   dealOrderedPilesToDealTo = [];
   gatherDealForward = true;
+  numPiles = -1;
 
-  constructor(numInstructions, deckOrderedPilesToDealTo, gatherDealForward){
+  //numPiles is how many piles this pass deals to - with mixed-radix dealing that can be fewer than the spaces on the mat.
+  constructor(numInstructions, deckOrderedPilesToDealTo, gatherDealForward, numPiles){
     this.numInstructions = numInstructions;
     this.gatherDealForward = gatherDealForward;
+    this.numPiles = numPiles;
     this.deckOrderedPilesToDealTo = Array(this.numInstructions).fill(-1);
     for( let i = 0; i< this.numInstructions; i++){
       this.deckOrderedPilesToDealTo[i] = deckOrderedPilesToDealTo[i];
@@ -357,7 +679,7 @@ class SoftInstructions{
   }
 
   printInstructions(label){
-    sLog(label +  "\n numInstructions is: " + this.numInstructions + ", gatherDealForward is: " + this.gatherDealForward + "\nThis is the DECK ordered version (0-bottomed to match the deck)\n", this.deckOrderedPilesToDealTo);
+    sLog(label +  "\n numInstructions is: " + this.numInstructions + ", numPiles is: " + this.numPiles + ", gatherDealForward is: " + this.gatherDealForward + "\nThis is the DECK ordered version (0-bottomed to match the deck)\n", this.deckOrderedPilesToDealTo);
     sLog(label +  "\n numInstructions is: " + this.numInstructions + ", gatherDealForward is: " + this.gatherDealForward + "\nThis is the DEAL ordered version (reversed to match the order performed physically.)\n", this.dealOrderedPilesToDealTo);
   }
 
@@ -373,6 +695,10 @@ class SoftInstructions{
     return this.gatherDealForward;
   }
 
+  numPilesGetter(){
+    return this.numPiles;
+  }
+
   //deckOrderedPilesToDealTo designed to map directly
   applyInstrToDeck(inputDeck, numPiles){
     const deckSize = inputDeck.deckSizeGetter();
@@ -415,10 +741,201 @@ class SoftInstructions{
 
 }
 
+// The layout of a mat - which spaces exist (so a mat can have holes or an irregular shape), where each is, what it's labelled,
+// and the path the piles are gathered along. spaces are {label, row, column}, held in GATHER PATH order, as that's the order
+// the planner numbers the piles in (pile 0 is the first space on the path). A pass that needs fewer piles than there are
+// spaces uses the start of the path.
+// Labels are shown separated by spaces on the deal pages, so they must be unique and can't contain whitespace.
+// Plain grids come from softGridMatDefinition(), named ones from softMatDefinition(name) and JSON from softMatLibraryFromJSON().
+class SoftMatDefinition{
+  name = "";
+  spaces = [];
+  numRows = -1;
+  numColumns = -1;
+  //True when the gather path is the usual left to right, top to bottom reading order (so the gather text can just say "top left").
+  readingOrderPath = true;
+
+  constructor(name, spaces){
+    this.name = name;
+    this.spaces = spaces.map(function(space){ return {label: space.label, row: space.row, column: space.column}; });
+    if(this.spaces.length == 0){
+      throw new RangeError("Mat '" + name + "' has no spaces.");
+    }
+    const labels = new Set();
+    for(const space of this.spaces){
+      if(typeof space.label !== "string" || space.label === "" || /\s/.test(space.label)){
+        throw new RangeError("Mat '" + name + "' has a space labelled '" + space.label + "' - labels must be non-empty with no spaces in them.");
+      }
+      if(labels.has(space.label)){
+        throw new RangeError("Mat '" + name + "' has more than one space labelled '" + space.label + "'.");
+      }
+      labels.add(space.label);
+    }
+    this.numRows = Math.max.apply(null, this.spaces.map(function(space){ return space.row; })) + 1;
+    this.numColumns = Math.max.apply(null, this.spaces.map(function(space){ return space.column; })) + 1;
+    for(let i = 1; i < this.spaces.length; i++){
+      const previous = this.spaces[i - 1];
+      const current = this.spaces[i];
+      if(current.row < previous.row || (current.row == previous.row && current.column <= previous.column)){
+        this.readingOrderPath = false;
+      }
+    }
+  }
+
+  numSpacesGetter(){
+    return this.spaces.length;
+  }
+
+  labels(){
+    return this.spaces.map(function(space){ return space.label; });
+  }
+
+  //The JSON format read by softMatLibraryFromJSON() - the layout row by row ("." for a hole), plus the gather path if it isn't reading order.
+  toJSONObject(){
+    const layout = [];
+    for(let row = 0; row < this.numRows; row++){
+      const rowLabels = Array(this.numColumns).fill(".");
+      for(const space of this.spaces){
+        if(space.row == row){
+          rowLabels[space.column] = space.label;
+        }
+      }
+      layout.push(rowLabels.join(" "));
+    }
+    const object = {name: this.name, layout: layout};
+    if(!this.readingOrderPath){
+      object.gatherPath = this.labels();
+    }
+    return object;
+  }
+}
+
+//Label schemes for generated mats: "letters" (A1, A2, ... B1 - rows past Z go on AA, AB like spreadsheet columns), "numbers" (1, 2, 3... in reading order),
+//"colours" and "symbols" (in reading order, repeating with a number once they run out).
+const softMatLabelSchemes = ["letters", "numbers", "colours", "symbols"];
+function softMatLabel(labelScheme, row, column, index){
+    if(labelScheme == "letters"){
+      let rowLetters = "";
+      for(let n = row + 1; n > 0; n = Math.floor((n - 1) / 26)){
+        rowLetters = String.fromCharCode('A'.charCodeAt() + (n - 1) % 26) + rowLetters;
+      }
+      return rowLetters + (column + 1);
+    }
+    if(labelScheme == "numbers"){
+      return String(index + 1);
+    }
+    let names = null;
+    if(labelScheme == "colours"){
+      names = ["Red", "Blue", "Green", "Yellow", "Black", "White", "Orange", "Purple", "Pink", "Brown", "Grey", "Cyan"];
+    } else if(labelScheme == "symbols"){
+      names = ["♠", "♥", "♦", "♣", "★", "●", "▲", "■", "◆", "✚", "☾", "☀"];
+    } else {
+      throw new RangeError("Unknown label scheme '" + labelScheme + "' (expected " + softMatLabelSchemes.join(", ") + ").");
+    }
+    const repeat = Math.floor(index / names.length);
+    return names[index % names.length] + (repeat > 0 ? (repeat + 1) : "");
+}
+
+//A full numRows * numColumns grid gathered in reading order - the mat the planner has always used. holes are [row, column] pairs to leave out.
+function softGridMatDefinition(numRows, numColumns, labelScheme = "letters", holes = [], name = ""){
+    const holeKeys = new Set(holes.map(function(hole){ return hole[0] + "," + hole[1]; }));
+    const spaces = [];
+    for(let row = 0; row < numRows; row++){
+      for(let column = 0; column < numColumns; column++){
+        if(!holeKeys.has(row + "," + column)){
+          spaces.push({label: softMatLabel(labelScheme, row, column, spaces.length), row: row, column: column});
+        }
+      }
+    }
+    return new SoftMatDefinition(name !== "" ? name : numColumns + "*" + numRows + " grid", spaces);
+}
+
+//Build a SoftMatDefinition from its JSON form, either
+//  {"name": "Horseshoe", "layout": ["A1 A2 A3", "B1 . B3"], "gatherPath": ["A1", "B1", "A2", "A3", "B3"]}
+//with the labels of each row separated by spaces ("." for a hole), or a generated grid
+//  {"name": "Numbered 3x4", "rows": 3, "columns": 4, "labels": "numbers", "holes": [[2, 0]], "gatherPath": [...]}
+//gatherPath is optional (reading order by default), but if given must list every space once.
+function softMatDefinitionFromObject(object){
+    const name = object.name || "custom mat";
+    let definition = null;
+    if(Array.isArray(object.layout)){
+      const spaces = [];
+      object.layout.forEach(function(rowText, row){
+        String(rowText).trim().split(/\s+/).forEach(function(label, column){
+          if(label !== "."){
+            spaces.push({label: label, row: row, column: column});
+          }
+        });
+      });
+      definition = new SoftMatDefinition(name, spaces);
+    } else {
+      for(const field of ["rows", "columns"]){
+        if(!Number.isInteger(object[field]) || object[field] < 1){
+          throw new RangeError("Mat '" + name + "' needs either a layout or whole number rows and columns (" + field + " is " + object[field] + ").");
+        }
+      }
+      definition = softGridMatDefinition(object.rows, object.columns, object.labels || "letters", object.holes || [], name);
+    }
+    if(object.gatherPath !== undefined){
+      const byLabel = new Map(definition.spaces.map(function(space){ return [space.label, space]; }));
+      const path = [];
+      for(const label of object.gatherPath){
+        if(!byLabel.has(String(label))){
+          throw new RangeError("Mat '" + name + "' gather path has '" + label + "', which isn't a space on the mat (or is listed twice).");
+        }
+        path.push(byLabel.get(String(label)));
+        byLabel.delete(String(label));
+      }
+      if(byLabel.size > 0){
+        throw new RangeError("Mat '" + name + "' gather path misses out " + Array.from(byLabel.keys()).join(", ") + ".");
+      }
+      definition = new SoftMatDefinition(name, path);
+    }
+    return definition;
+}
+
+//A saved library of mats - a JSON array of mat objects (see softMatDefinitionFromObject()), or {"mats": [...]}.
+function softMatLibraryFromJSON(text){
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch(e) {
+      throw new RangeError("Mat library isn't valid JSON: " + e.message);
+    }
+    const objects = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.mats) ? parsed.mats : [parsed]);
+    return objects.map(softMatDefinitionFromObject);
+}
+
+function softMatLibraryToJSON(definitions){
+    return JSON.stringify({mats: definitions.map(function(definition){ return definition.toJSONObject(); })}, null, 2);
+}
+
+//The built-in mat library, in the same JSON form users can save their own in.
+const softBuiltInMats = [
+  {name: "Numbered 2x5", rows: 2, columns: 5, labels: "numbers"},
+  {name: "Colours 2x4", rows: 2, columns: 4, labels: "colours"},
+  {name: "Symbols 3x4", rows: 3, columns: 4, labels: "symbols"},
+  {name: "Snake 3x4", layout: ["A1 A2 A3 A4", "B1 B2 B3 B4", "C1 C2 C3 C4"],
+   gatherPath: ["A1", "A2", "A3", "A4", "B4", "B3", "B2", "B1", "C1", "C2", "C3", "C4"]},
+  {name: "Horseshoe 12", layout: ["A1 A2 A3 A4", "B1 .  .  B4", "C1 .  .  C4", "D1 D2 D3 D4"],
+   gatherPath: ["D1", "C1", "B1", "A1", "A2", "A3", "A4", "B4", "C4", "D4", "D3", "D2"]}
+];
+
+//Returns the built-in mat with this name, or null.
+function softMatDefinition(name){
+    for(const object of softBuiltInMats){
+      if(object.name == name){
+        return softMatDefinitionFromObject(object);
+      }
+    }
+    return null;
+}
+
 // Mat holds the lables of the mat, and is responsible for translating 0-deck-bottomed instructions 
 // to real labels. Mat is 0-top-left (position 0 of the array is the top left of the virtual representation).
 // Mat is numbered left to right and top to bottom 
 // (so in a 2x2 mat [0] is A1, [1] is A2, [2] is B1, [3] is B4 - before any remapping.)
+// With a SoftMatDefinition the mat can be any shape, and is numbered along its gather path instead.
 class SoftMat{
 
   matMappings = [];
@@ -427,48 +944,68 @@ class SoftMat{
   numRows = -1;
   numColumns = -1;
   numCardsPerDeal = -1;
+  matDefinition = null;
 
-  constructor(numCards, numRows, numColumns, numCardsPerDeal){
+  constructor(numCards, numRows, numColumns, numCardsPerDeal, matDefinition = null){
     this.numCards = numCards;
-    this.numRows = numRows;
-    this.numColumns = numColumns;
     this.numCardsPerDeal = numCardsPerDeal;
-    //Find 'A'
-    let asciiAVal = 'A'.charCodeAt();
-    this.matMappings = [];
-    for (let i = 0; i < this.numRows; i++){
-        let currentLetter = String.fromCharCode(asciiAVal+i);
-        for (let j = 1; j <= this.numColumns; j++)
-        {
-            this.matMappings.push(currentLetter + j);
-        }
-    }
+    this.matDefinition = matDefinition != null ? matDefinition : softGridMatDefinition(numRows, numColumns);
+    this.numRows = this.matDefinition.numRows;
+    this.numColumns = this.matDefinition.numColumns;
+    this.matMappings = this.matDefinition.labels();
   }
 
   printMat(){
     sLog("Mat mappings (the text labels on the mat expressed as an array):\n", this.matMappings);
   }
 
+  //Where a space physically is, in spaces from the top left (used to estimate how far the hand moves, see SoftCostModel).
+  spacePosition(index){
+    const space = this.matDefinition.spaces[index];
+    return {row: space.row, column: space.column};
+  }
+
   //The instructions to gather the piles have to explain what order to gather up the cards.
-  createGatherInstructionString(gatherPilesForwards){
+  //numPiles is how many spaces (from the start of the mat) the pass used, all of them by default.
+  createGatherInstructionString(gatherPilesForwards, numPiles = this.matMappings.length){
+    if(numPiles == 1){
+        return "\nPick up pile " + this.matMappings[0] + ".";
+    }
     if(gatherPilesForwards){
-        let returnString = "\nGather the piles from top left: \n\n" + 
+        let returnString = "\nGather the piles from " + (this.matDefinition.readingOrderPath ? "top left" : this.matMappings[0]) + ": \n\n" + 
         "Place pile " + this.matMappings[0] + " on " + this.matMappings[1] + ". \n\n"; 
-        if(this.numCards > 2){
+        if(numPiles > 2){
             returnString = returnString + "Place " + this.matMappings[0] + "+" + this.matMappings[1] + 
             " pile on " + this.matMappings[2] + ". \n\nAnd so on.";
         }
-            return returnString;
+            return returnString + this.gatherPathString(this.matMappings.slice(0, numPiles), numPiles);
     } else {
-        let last = this.matMappings.length-1;
-        let returnString = "\nGather the piles from bottom right: \n\n" + 
+        let last = numPiles-1;
+        let returnString = "\nGather the piles from " + this.matMappings[last] + ": \n\n" + 
         "Place pile " + this.matMappings[last] + " on " + this.matMappings[last-1] + ". \n\n"; 
-        if(this.numCards > 2){
+        if(numPiles > 2){
             returnString = returnString + "Place " + this.matMappings[last] + "+" + this.matMappings[last-1] + 
             " pile on " + this.matMappings[last-2] + ". \n\nAnd so on.";
         }
-            return returnString;
+            return returnString + this.gatherPathString(this.matMappings.slice(0, numPiles).reverse(), numPiles);
+    }
+  }
+
+  //Instead of gathering, the last pass of a plan dealing packs leaves one on each pile - piles as SoftPlanner.packLayout(), in mat order.
+  createPackInstructionString(piles){
+    let text = "\nDon't gather the piles - each one is now a pack:\n";
+    for(let i = 0; i < piles.length; i++){
+      text += "\n" + this.matMappings[i] + ": " + piles[i].name + " (" + piles[i].size + (piles[i].size == 1 ? " card)" : " cards)");
     }
+    return text;
+  }
+
+  //"And so on" only makes sense along rows, so a mat with its own gather path spells the path out.
+  gatherPathString(gatherOrder, numPiles){
+    if(this.matDefinition.readingOrderPath || numPiles <= 3){
+      return "";
+    }
+    return "\n\nGather path: " + gatherOrder.join(" > ") + ".";
   }
 
   splitByNumPerDeal(dealInstructions){
@@ -519,7 +1056,7 @@ class SoftMat{
     //sLog("Chopped mat instructions", choppedInstr);
 
     let outputInstr = choppedInstr;
-    outputInstr.push(this.createGatherInstructionString(gatherDealForward));
+    outputInstr.push(this.createGatherInstructionString(gatherDealForward, inputInstr.numPilesGetter()));
     //sLog("Instructions mapped to mat, split by number of rows of instructions + gather text", outputInstr);
 
     return outputInstr;
@@ -528,48 +1065,2486 @@ class SoftMat{
 }
 
 
-class SoftShuffle{
-    //class fields
-    numPasses = -1;
-    numInstrPerRow = 5;
-    //This should be more than needed
-    maxPasses = 10;
-
-    //Limits from page
-    numCardsMin = -1;
-    numCardsMax = -1;
-    numRowsMin = -1;
-    numRowsMax = -1;
-    numColumnsMin = -1;
-    numColumnsMax = -1;
-    numInstrRowsMin = -1;
-    numInstrRowsMax = -1;
+//Text made safe to put in the SVG and html we generate, as element text or a quoted attribute.
+function softEscapeXML(text){
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
 
-    //We should always be using these, but if there are compatibility issues we can disable.
-    useRejectionSampling = true;
-    useCryptoRNG = true;
-    
-    deckMatComboMessage = "";
-    mainInstructionOutput = [];
-    mainInstructionOutputPos = 0;
-    
-    boxOutput = function(){};
-    
-    numCardsGetter = function(){};
-    numColumnsGetter = function(){};
-    numRowsGetter = function(){};
-    numInstrRowsGetter = function(){};
+// Printable mats - draws a SoftMat as SVG at real size (millimetres), each space big enough for a card plus a margin,
+// with the gather path drawn as arrows for both directions (see SoftInstructions.applyInstrToDeck()).
+// Everything is generated as strings, so it works offline in the single page - pages() tiles a mat too big for the paper.
+const softCardSizes = {
+  poker: {name: "Poker (63 x 88mm)", width: 63, height: 88},
+  bridge: {name: "Bridge (57 x 89mm)", width: 57, height: 89},
+  tarot: {name: "Tarot (70 x 120mm)", width: 70, height: 120},
+  mini: {name: "Mini (44 x 63mm)", width: 44, height: 63}
+};
+const softPaperSizes = {
+  A4: {name: "A4", width: 210, height: 297},
+  Letter: {name: "Letter", width: 215.9, height: 279.4}
+};
 
-    constructor(iBoxOutput, iNumCardsGetter, numCardsMin, numCardsMax, 
-                            iNumColumnsGetter, numColumnsMin, numColumnsMax, 
-                            iNumRowsGetter, numRowsMin, numRowsMax, 
-                            iNumInstrRowsGetter, numInstrRowsMin, numInstrRowsMax){
-        //Set function pointers to the version included for this platform.
-        this.boxOutput = iBoxOutput;
-        this.numCardsGetter = iNumCardsGetter;
-        this.numColumnsGetter = iNumColumnsGetter;
-        this.numRowsGetter = iNumRowsGetter;
-        this.numInstrRowsGetter = iNumInstrRowsGetter;
+class SoftMatPrinter{
+  mat = null;
+  cardSize = softCardSizes.poker;
+  spacePadding = 5;
+  spaceGap = 12;
+  matMargin = 10;
+  legendHeight = 16;
+  pageMargin = 10;
+
+  //cardSize is a key of softCardSizes or {width, height} in mm.
+  constructor(mat, cardSize = "poker"){
+    this.mat = mat;
+    this.cardSize = typeof cardSize === "string" ? softCardSizes[cardSize] : cardSize;
+    if(!this.cardSize || !(this.cardSize.width > 0) || !(this.cardSize.height > 0)){
+      throw new RangeError("Unknown card size '" + cardSize + "' (expected " + Object.keys(softCardSizes).join(", ") + " or {width, height} in mm).");
+    }
+  }
+
+  spaceWidth(){
+    return this.cardSize.width + 2 * this.spacePadding;
+  }
+
+  spaceHeight(){
+    return this.cardSize.height + 2 * this.spacePadding;
+  }
+
+  //Size of the whole mat drawing in mm, legend included.
+  width(){
+    return 2 * this.matMargin + this.mat.numColumns * this.spaceWidth() + (this.mat.numColumns - 1) * this.spaceGap;
+  }
+
+  height(){
+    return 2 * this.matMargin + this.mat.numRows * this.spaceHeight() + (this.mat.numRows - 1) * this.spaceGap + this.legendHeight;
+  }
+
+  spaceCentre(index){
+    const position = this.mat.spacePosition(index);
+    return {x: this.matMargin + position.column * (this.spaceWidth() + this.spaceGap) + this.spaceWidth() / 2,
+            y: this.matMargin + position.row * (this.spaceHeight() + this.spaceGap) + this.spaceHeight() / 2};
+  }
+
+  //Arrows from each space to the next along the gather path, nudged to one side so the two directions don't overlap.
+  gatherArrows(gatherForward, colour, offset){
+    const numSpaces = this.mat.matMappings.length;
+    let arrows = "";
+    for(let step = 0; step < numSpaces - 1; step++){
+      const from = this.spaceCentre(gatherForward ? step : numSpaces - 1 - step);
+      const to = this.spaceCentre(gatherForward ? step + 1 : numSpaces - 2 - step);
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      const nudgeX = -(to.y - from.y) / length * offset;
+      const nudgeY = (to.x - from.x) / length * offset;
+      //Start and stop short of the centres, so the arrows don't run through the labels.
+      const trim = Math.min(22, length / 3) / length;
+      arrows += "<line x1=\"" + (from.x + (to.x - from.x) * trim + nudgeX).toFixed(1) + "\" y1=\"" + (from.y + (to.y - from.y) * trim + nudgeY).toFixed(1)
+        + "\" x2=\"" + (to.x - (to.x - from.x) * trim + nudgeX).toFixed(1) + "\" y2=\"" + (to.y - (to.y - from.y) * trim + nudgeY).toFixed(1)
+        + "\" stroke=\"" + colour + "\" stroke-width=\"0.8\" marker-end=\"url(#arrow-" + colour + ")\"/>\n";
+    }
+    return arrows;
+  }
+
+  //The mat drawing itself, without the outer <svg> (so pages() can reuse it).
+  content(){
+    const labels = this.mat.matMappings;
+    let svg = "<defs>";
+    for(const colour of ["blue", "red"]){
+      svg += "<marker id=\"arrow-" + colour + "\" viewBox=\"0 0 10 10\" refX=\"9\" refY=\"5\" markerWidth=\"5\" markerHeight=\"5\" orient=\"auto\">"
+        + "<path d=\"M0,0 L10,5 L0,10 z\" fill=\"" + colour + "\"/></marker>";
+    }
+    svg += "</defs>\n<rect x=\"0\" y=\"0\" width=\"" + this.width().toFixed(1) + "\" height=\"" + this.height().toFixed(1) + "\" fill=\"white\"/>\n";
+    for(let i = 0; i < labels.length; i++){
+      const centre = this.spaceCentre(i);
+      svg += "<rect x=\"" + (centre.x - this.spaceWidth() / 2).toFixed(1) + "\" y=\"" + (centre.y - this.spaceHeight() / 2).toFixed(1)
+        + "\" width=\"" + this.spaceWidth().toFixed(1) + "\" height=\"" + this.spaceHeight().toFixed(1) + "\" rx=\"4\" fill=\"none\" stroke=\"black\" stroke-width=\"0.5\"/>\n";
+      svg += "<text x=\"" + centre.x.toFixed(1) + "\" y=\"" + centre.y.toFixed(1) + "\" font-family=\"sans-serif\" font-size=\"14\" text-anchor=\"middle\" dominant-baseline=\"middle\">"
+        + softEscapeXML(labels[i]) + "</text>\n";
+    }
+    svg += this.gatherArrows(true, "blue", 3);
+    svg += this.gatherArrows(false, "red", 3);
+    const legendY = this.height() - this.matMargin - this.legendHeight / 2;
+    svg += "<text x=\"" + this.matMargin + "\" y=\"" + (legendY - 3).toFixed(1) + "\" font-family=\"sans-serif\" font-size=\"4\" fill=\"blue\">Blue: gather forwards, from "
+      + softEscapeXML(labels[0]) + ".</text>\n";
+    svg += "<text x=\"" + this.matMargin + "\" y=\"" + (legendY + 3).toFixed(1) + "\" font-family=\"sans-serif\" font-size=\"4\" fill=\"red\">Red: gather backwards, from the last pile dealt to (" 
+      + softEscapeXML(labels[labels.length - 1]) + " when every space is used).</text>\n";
+    return svg;
+  }
+
+  //The whole mat as one SVG, at real size.
+  svg(){
+    return "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + this.width().toFixed(1) + "mm\" height=\"" + this.height().toFixed(1) + "mm\" viewBox=\"0 0 "
+      + this.width().toFixed(1) + " " + this.height().toFixed(1) + "\">\n" + this.content() + "</svg>\n";
+  }
+
+  //The mat tiled over as many sheets of paper (a key of softPaperSizes) as it takes, portrait or landscape - whichever needs fewer.
+  //Each page is an SVG of the paper size with its part of the mat, a dashed line to trim to, and which tile it is.
+  pages(paperName = "A4"){
+    const paper = softPaperSizes[paperName];
+    if(!paper){
+      throw new RangeError("Unknown paper size '" + paperName + "' (expected " + Object.keys(softPaperSizes).join(", ") + ").");
+    }
+    let best = null;
+    for(const [paperWidth, paperHeight] of [[paper.width, paper.height], [paper.height, paper.width]]){
+      const printWidth = paperWidth - 2 * this.pageMargin;
+      const printHeight = paperHeight - 2 * this.pageMargin;
+      const across = Math.ceil(this.width() / printWidth);
+      const down = Math.ceil(this.height() / printHeight);
+      if(best == null || across * down < best.across * best.down){
+        best = {paperWidth: paperWidth, paperHeight: paperHeight, printWidth: printWidth, printHeight: printHeight, across: across, down: down};
+      }
+    }
+    const content = this.content();
+    const pages = [];
+    for(let row = 0; row < best.down; row++){
+      for(let column = 0; column < best.across; column++){
+        const caption = "Mat page " + (pages.length + 1) + " of " + (best.across * best.down) + " (row " + (row + 1) + ", column " + (column + 1)
+          + ") - " + this.cardSize.name + " cards" + (best.across * best.down > 1 ? ", trim to the dashed line and join." : ".");
+        pages.push("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + best.paperWidth + "mm\" height=\"" + best.paperHeight + "mm\" viewBox=\"0 0 "
+          + best.paperWidth + " " + best.paperHeight + "\">\n"
+          + "<svg x=\"" + this.pageMargin + "\" y=\"" + this.pageMargin + "\" width=\"" + best.printWidth.toFixed(1) + "\" height=\"" + best.printHeight.toFixed(1)
+          + "\" viewBox=\"" + (column * best.printWidth).toFixed(1) + " " + (row * best.printHeight).toFixed(1) + " " + best.printWidth.toFixed(1) + " " + best.printHeight.toFixed(1) + "\">\n"
+          + content + "</svg>\n"
+          + "<rect x=\"" + this.pageMargin + "\" y=\"" + this.pageMargin + "\" width=\"" + best.printWidth.toFixed(1) + "\" height=\"" + best.printHeight.toFixed(1)
+          + "\" fill=\"none\" stroke=\"grey\" stroke-width=\"0.3\" stroke-dasharray=\"3,2\"/>\n"
+          + "<text x=\"" + this.pageMargin + "\" y=\"" + (best.paperHeight - this.pageMargin / 2).toFixed(1) + "\" font-family=\"sans-serif\" font-size=\"3\">" + softEscapeXML(caption) + "</text>\n"
+          + "</svg>\n");
+      }
+    }
+    return pages;
+  }
+
+  //A complete html document of the tiled pages, ready to print (one page per sheet, no browser margins).
+  printHTML(paperName = "A4"){
+    const pages = this.pages(paperName);
+    let html = "<!DOCTYPE html>\n<html>\n<head>\n<meta charset=\"utf-8\">\n<title>Soft Shuffle mat</title>\n"
+      + "<style>@page { size: " + paperName + "; margin: 0; } body { margin: 0; } .page { page-break-after: always; } .page:last-child { page-break-after: auto; }</style>\n"
+      + "</head>\n<body>\n";
+    for(const page of pages){
+      html += "<div class=\"page\">\n" + page + "</div>\n";
+    }
+    return html + "</body>\n</html>\n";
+  }
+}
+
+
+// On-screen mat for dealing a card at a time - draws the mat from a SoftMat (in screen pixels, unlike SoftMatPrinter), with the space
+// the next card goes to highlighted, how many cards each pile has so far this pass, and the progress through the pass.
+// At a pass's gather step the gather order is drawn instead, as numbered arrows. Takes its position from a SoftDealCursor.
+class SoftMatView{
+  mat = null;
+  spaceWidth = 60;
+  spaceHeight = 80;
+  spaceGap = 18;
+  margin = 10;
+  progressHeight = 14;
+
+  constructor(mat){
+    this.mat = mat;
+  }
+
+  width(){
+    return 2 * this.margin + this.mat.numColumns * (this.spaceWidth + this.spaceGap) - this.spaceGap;
+  }
+
+  height(){
+    return 3 * this.margin + this.mat.numRows * (this.spaceHeight + this.spaceGap) - this.spaceGap + this.progressHeight;
+  }
+
+  spaceCentre(index){
+    const position = this.mat.spacePosition(index);
+    return {x: this.margin + position.column * (this.spaceWidth + this.spaceGap) + this.spaceWidth / 2,
+            y: this.margin + position.row * (this.spaceHeight + this.spaceGap) + this.spaceHeight / 2};
+  }
+
+  //Numbered arrows along the gather order, 1 being the first pile to pick up and put on the next.
+  gatherArrows(gatherOrder){
+    let arrows = "";
+    for(let step = 0; step < gatherOrder.length - 1; step++){
+      const from = this.spaceCentre(gatherOrder[step]);
+      const to = this.spaceCentre(gatherOrder[step + 1]);
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      const trim = Math.min(24, length / 3) / length;
+      const x1 = from.x + (to.x - from.x) * trim;
+      const y1 = from.y + (to.y - from.y) * trim;
+      const x2 = to.x - (to.x - from.x) * trim;
+      const y2 = to.y - (to.y - from.y) * trim;
+      arrows += "<line x1=\"" + x1.toFixed(1) + "\" y1=\"" + y1.toFixed(1) + "\" x2=\"" + x2.toFixed(1) + "\" y2=\"" + y2.toFixed(1)
+        + "\" stroke=\"#1565c0\" stroke-width=\"2.5\" marker-end=\"url(#soft-gather-arrow)\"/>\n";
+      arrows += "<circle cx=\"" + ((x1 + x2) / 2).toFixed(1) + "\" cy=\"" + ((y1 + y2) / 2).toFixed(1) + "\" r=\"8\" fill=\"#1565c0\"/>"
+        + "<text x=\"" + ((x1 + x2) / 2).toFixed(1) + "\" y=\"" + ((y1 + y2) / 2).toFixed(1) + "\" font-family=\"sans-serif\" font-size=\"10\" fill=\"white\" text-anchor=\"middle\" dominant-baseline=\"central\">"
+        + (step + 1) + "</text>\n";
+    }
+    return arrows;
+  }
+
+  svg(cursor){
+    const labels = this.mat.matMappings;
+    const state = cursor.current();
+    const pileCounts = cursor.pileCounts();
+    let svg = "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + this.width() + "\" height=\"" + this.height() + "\" viewBox=\"0 0 " + this.width() + " " + this.height() + "\">\n"
+      + "<defs><marker id=\"soft-gather-arrow\" viewBox=\"0 0 10 10\" refX=\"9\" refY=\"5\" markerWidth=\"4\" markerHeight=\"4\" orient=\"auto\">"
+      + "<path d=\"M0,0 L10,5 L0,10 z\" fill=\"#1565c0\"/></marker></defs>\n";
+    for(let i = 0; i < labels.length; i++){
+      const centre = this.spaceCentre(i);
+      const used = !state.done && i < state.numPiles;
+      const target = used && !state.gathering && i == state.pile;
+      svg += "<rect x=\"" + (centre.x - this.spaceWidth / 2) + "\" y=\"" + (centre.y - this.spaceHeight / 2) + "\" width=\"" + this.spaceWidth + "\" height=\"" + this.spaceHeight
+        + "\" rx=\"6\" fill=\"" + (target ? "#ffd54f" : (used ? "white" : "#eeeeee")) + "\" stroke=\"" + (target ? "#e65100" : "black") + "\" stroke-width=\"" + (target ? 4 : 1) + "\"/>\n";
+      svg += "<text x=\"" + centre.x + "\" y=\"" + (centre.y - 8) + "\" font-family=\"sans-serif\" font-size=\"18\" font-weight=\"bold\" text-anchor=\"middle\" dominant-baseline=\"middle\" fill=\""
+        + (used ? "black" : "#999999") + "\">" + softEscapeXML(labels[i]) + "</text>\n";
+      if(used){
+        //Once the packs are dealt, each space says which pack it holds.
+        const caption = state.gathering && cursor.dealsPacks() ? cursor.plan.packs.piles[i].name : pileCounts[i] + " cards";
+        svg += "<text x=\"" + centre.x + "\" y=\"" + (centre.y + 20) + "\" font-family=\"sans-serif\" font-size=\"12\" text-anchor=\"middle\" dominant-baseline=\"middle\">" + softEscapeXML(caption) + "</text>\n";
+      }
+    }
+    if(state.gathering && !cursor.dealsPacks()){
+      svg += this.gatherArrows(cursor.gatherOrder());
+    }
+    const progressY = this.height() - this.margin - this.progressHeight;
+    const progressWidth = this.width() - 2 * this.margin;
+    svg += "<rect x=\"" + this.margin + "\" y=\"" + progressY + "\" width=\"" + progressWidth + "\" height=\"" + this.progressHeight + "\" fill=\"none\" stroke=\"black\"/>\n";
+    svg += "<rect x=\"" + this.margin + "\" y=\"" + progressY + "\" width=\"" + (progressWidth * cursor.passProgress()).toFixed(1) + "\" height=\"" + this.progressHeight + "\" fill=\"#81c784\"/>\n";
+    return svg + "</svg>\n";
+  }
+}
+
+
+// Constraints on the final order, eg "no more than 3 lands in a row" or "these two cards at least 10 apart".
+// We get a uniformly random order that meets them by rejecting whole permutations - keep doing a full Fisher-Yates until one passes.
+// Every valid order is exactly as likely as every other (the valid ones were all equally likely before we threw the rest away),
+// the cost is only time, so there's a cap on attempts for constraints that are too strict (or impossible).
+// Positions here are the user's view - counted from the TOP of the starting deck, starting at 0 (so match a decklist read top down).
+// Written as text, one per line (or separated by ;):
+//    tag lands 0-23        - name a set of starting positions (ranges and single positions, comma separated: 0-23,30,31)
+//    maxrun lands 3        - no more than 3 tagged cards next to each other in the final order
+//    apart 5 9 10          - the cards starting at positions 5 and 9 end up at least 10 positions apart
+class SoftConstraints{
+  tags = {};
+  maxRuns = [];
+  aparts = [];
+  maxAttempts = 100000;
+  //Caps the total cards shuffled across attempts too, so an impossible constraint on a big deck doesn't hang the page.
+  maxCardsShuffled = 20000000;
+
+  addTag(tag, topFirstPositions){
+    this.tags[tag] = topFirstPositions.slice();
+  }
+
+  addMaxRun(tag, maxRun){
+    this.maxRuns.push({tag: tag, maxRun: maxRun});
+  }
+
+  addApart(firstPosition, secondPosition, minDistance){
+    this.aparts.push({first: firstPosition, second: secondPosition, minDistance: minDistance});
+  }
+
+  attemptLimit(numCards){
+    return Math.max(1, Math.min(this.maxAttempts, Math.floor(this.maxCardsShuffled / numCards)));
+  }
+
+  isEmpty(){
+    return this.maxRuns.length == 0 && this.aparts.length == 0;
+  }
+
+  //Throws if the constraints refer to cards that aren't in a deck of numCards.
+  checkAgainstDeck(numCards){
+    for(const maxRun of this.maxRuns){
+      if(this.tags[maxRun.tag] === undefined){
+        throw new RangeError("Constraint 'maxrun " + maxRun.tag + "' uses a tag that hasn't been defined.");
+      }
+    }
+    const positions = [];
+    for(const tag in this.tags){
+      for(const position of this.tags[tag]){
+        positions.push(position);
+      }
+    }
+    for(const apart of this.aparts){
+      positions.push(apart.first, apart.second);
+    }
+    for(const position of positions){
+      if(position >= numCards){
+        throw new RangeError("Constraint position " + position + " is outside the deck (positions are 0 to " + (numCards - 1) + ").");
+      }
+    }
+  }
+
+  //permutation[i] is the final position of the card starting at position i (both 0-bottomed).
+  satisfiedBy(permutation){
+    const numCards = permutation.length;
+    const finalPosition = function(topFirstPosition){ return permutation[numCards - 1 - topFirstPosition]; };
+
+    for(const maxRun of this.maxRuns){
+      const tagged = Array(numCards).fill(false);
+      for(const position of this.tags[maxRun.tag]){
+        tagged[finalPosition(position)] = true;
+      }
+      let run = 0;
+      for(let i = 0; i < numCards; i++){
+        run = tagged[i] ? run + 1 : 0;
+        if(run > maxRun.maxRun){
+          return false;
+        }
+      }
+    }
+    for(const apart of this.aparts){
+      if(Math.abs(finalPosition(apart.first) - finalPosition(apart.second)) < apart.minDistance){
+        return false;
+      }
+    }
+    return true;
+  }
+
+  describe(){
+    const lines = [];
+    for(const maxRun of this.maxRuns){
+      lines.push("No more than " + maxRun.maxRun + " " + maxRun.tag + " in a row.");
+    }
+    for(const apart of this.aparts){
+      lines.push("Cards " + apart.first + " and " + apart.second + " at least " + apart.minDistance + " apart.");
+    }
+    return lines.join("\n");
+  }
+}
+
+//Parse a list of positions and ranges, eg "0-23,30, 31". Throws a RangeError quoting the part it can't understand, or for a position
+//past the end of a deck of numCards - checked before a range is listed out, so a typo like 0-999999999 can't hang the page.
+function softPositionsFromText(text, numCards = Infinity){
+    const positions = [];
+    for(let range of text.split(",")){
+      range = range.trim();
+      if(range === ""){
+        continue;
+      }
+      const rangeMatch = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(range);
+      if(rangeMatch == null){
+        throw new RangeError("'" + range + "' isn't a position or range like 0-23.");
+      }
+      const start = parseInt(rangeMatch[1]);
+      const end = rangeMatch[2] === undefined ? start : parseInt(rangeMatch[2]);
+      if(Math.max(start, end) >= numCards){
+        throw new RangeError("Position " + Math.max(start, end) + " is outside the deck (positions are 0 to " + (numCards - 1) + ").");
+      }
+      for(let position = start; position <= end; position++){
+        positions.push(position);
+      }
+    }
+    return positions;
+}
+
+//Parse a misdeal report (see SoftPlanner.recover()) as typed: pass is 1-based, cardsText lists the misdealt cards as the card number in the pass
+//and the pile it actually went on, eg "37 B2, 52 A1", and gatherText the piles in the order they were actually picked up (the first ends on top),
+//eg "A2 A1 A3" - blank if they were gathered as instructed.
+function softMisdealFromText(pass, cardsText, gatherText){
+    if(!Number.isInteger(pass) || pass < 1){
+      throw new RangeError("Pass should be the number of the pass that went wrong, from 1.");
+    }
+    const mistakes = [];
+    for(let entry of cardsText.split(/[,;\r\n]+/)){
+      entry = entry.trim();
+      if(entry === ""){
+        continue;
+      }
+      const entryMatch = /^(\d+)\s+(\S+)$/.exec(entry);
+      if(entryMatch == null){
+        throw new RangeError("'" + entry + "' should be a card number and the pile it went on, like 37 B2.");
+      }
+      mistakes.push({card: parseInt(entryMatch[1]), pile: entryMatch[2]});
+    }
+    const gatherOrder = gatherText.trim() === "" ? null : gatherText.trim().split(/[\s,]+/);
+    if(mistakes.length == 0 && gatherOrder == null){
+      throw new RangeError("Nothing to recover from - give the misdealt cards and/or the order the piles were gathered in.");
+    }
+    return {pass: pass - 1, mistakes: mistakes, gatherOrder: gatherOrder};
+}
+
+//Parse a batch of decks (see SoftPlanner.planBatch()) as typed, one deck per line, its name then its number of cards, eg "Alice - Burn, 60" or
+//"Pack 3: 15". A line that's just a number is named "Deck N". Blank lines and comments (# or //) are skipped.
+function softBatchFromText(text){
+    const decks = [];
+    for(let line of text.split(/\r?\n/)){
+      line = line.trim();
+      if(line === "" || line.startsWith("#") || line.startsWith("//")){
+        continue;
+      }
+      const lineMatch = /^(?:(.*?)[\s,:]+)?(\d+)$/.exec(line);
+      if(lineMatch == null){
+        throw new RangeError("'" + line + "' should be a deck name and its number of cards, like Alice - Burn, 60.");
+      }
+      const name = lineMatch[1] !== undefined && lineMatch[1].trim() !== "" ? lineMatch[1].trim() : "Deck " + (decks.length + 1);
+      decks.push({name: name, numCards: parseInt(lineMatch[2])});
+    }
+    if(decks.length == 0){
+      throw new RangeError("No decks in the batch - list one deck per line, its name then its number of cards.");
+    }
+    return decks;
+}
+
+//Parse the packs or hands to deal (see SoftPlanner.packPileCounts()) as typed - "8 packs of 15", "4 hands of 13", "8x15", or the sizes
+//one by one ("7, 7, 7, 7"), terms joined with "," or "+". Returns {noun, sizes}, noun being "Hand" when they're hands or players and "Pack"
+//otherwise, or null for blank text (no packs). Throws a RangeError for more packs than numCards, before they're listed out one by one.
+function softPacksFromText(text, numCards = Infinity){
+    if(text.trim() === ""){
+      return null;
+    }
+    let noun = "Pack";
+    const sizes = [];
+    for(let term of text.split(/[,+]/)){
+      term = term.trim().toLowerCase();
+      if(term === ""){
+        continue;
+      }
+      const termMatch = /^(?:(\d+)\s*(?:x|\*|(packs?|hands?|players?|piles?)\s+of)\s*)?(\d+)$/.exec(term);
+      if(termMatch == null){
+        throw new RangeError("'" + term + "' should be a number of packs and their size, like 8 packs of 15, or just a size.");
+      }
+      if(termMatch[2] !== undefined && /^(hand|player)/.test(termMatch[2])){
+        noun = "Hand";
+      }
+      const count = termMatch[1] !== undefined ? parseInt(termMatch[1]) : 1;
+      if(sizes.length + count > numCards){
+        throw new RangeError("That's more packs than the " + numCards + " cards can make, a card each.");
+      }
+      for(let i = 0; i < count; i++){
+        sizes.push(parseInt(termMatch[3]));
+      }
+    }
+    return {noun: noun, sizes: sizes};
+}
+
+//A short identifier for a plan's order - the first 6 hex digits of the SHA-256 of its permutation. Printed on each deck in a batch
+//so they can't get mixed up, and the same order always gives the same identifier.
+function softPlanId(plan){
+    const digest = softSha256(new TextEncoder().encode(plan.permutation.join(",")));
+    return softHex(digest.subarray(0, 3)).toUpperCase();
+}
+
+//Parse the text form described above SoftConstraints. Throws a RangeError naming the line for anything it can't understand, or for a
+//tag reaching past the end of a deck of numCards (see softPositionsFromText()).
+function softConstraintsFromText(text, numCards = Infinity){
+    const constraints = new SoftConstraints();
+    const lines = text.split(/[\r\n;]+/);
+    for(let i = 0; i < lines.length; i++){
+      const line = lines[i].trim();
+      if(line === "" || line.startsWith("#")){
+        continue;
+      }
+      const words = line.split(/\s+/);
+      const command = words[0].toLowerCase();
+      const isWholeNumber = function(word){ return /^\d+$/.test(word); };
+      if(command == "tag" && words.length == 3){
+        try {
+          constraints.addTag(words[1], softPositionsFromText(words[2], numCards));
+        } catch(e) {
+          throw new RangeError("Constraint '" + line + "': " + e.message);
+        }
+      } else if(command == "maxrun" && words.length == 3 && isWholeNumber(words[2])){
+        constraints.addMaxRun(words[1], parseInt(words[2]));
+      } else if(command == "apart" && words.length == 4 && words.slice(1).every(isWholeNumber)){
+        constraints.addApart(parseInt(words[1]), parseInt(words[2]), parseInt(words[3]));
+      } else {
+        throw new RangeError("Constraint '" + line + "' not understood - expected 'tag <name> <positions>', 'maxrun <name> <n>' or 'apart <position> <position> <distance>'.");
+      }
+    }
+    return constraints;
+}
+
+// Independent check that what the user is shown really does produce the generated permutation.
+// It only uses user-facing output - the page strings (mat labels separated by spaces), the gather text and the labels on the mat -
+// and simulates the physical deal and gather itself rather than using SoftInstructions/applyInstrToDeck, so a bug there can't hide on both sides.
+// The simulated deck holds card identities (a card's starting position), 0-bottomed like everything else.
+class SoftVerifier{
+  matLabels = [];
+
+  //matLabels in mat order (pile 0 first), ie SoftMat.matMappings.
+  constructor(matLabels){
+    this.matLabels = matLabels;
+  }
+
+  //passPages holds, for each pass, the pages shown to the user (gather text last).
+  //packPiles (SoftPlanner.packLayout()'s piles) when the last pass deals packs: it isn't gathered, instead each pile on the mat in turn
+  //has to hold the cards randomised to its pack's positions, in order.
+  //Returns {verified, reason} - reason explains the first problem found.
+  verify(passPages, permutation, packPiles = null){
+    const numCards = permutation.length;
+    let deck = [];
+    for(let i = 0; i < numCards; i++){
+      deck[i] = i;
+    }
+
+    for(let pass = 0; pass < passPages.length; pass++){
+      const pages = passPages[pass];
+      const labels = [];
+      for(let i = 0; i < pages.length - 1; i++){
+        for(const label of pages[i].split(/\s+/)){
+          if(label !== ""){
+            labels.push(label);
+          }
+        }
+      }
+      if(labels.length != numCards){
+        return this.failed("Pass " + (pass + 1) + " has " + labels.length + " deal instructions for " + numCards + " cards.");
+      }
+
+      //Deal from the top of the deck (the end of the array) - the first card dealt to a space ends up at the bottom of that pile.
+      const piles = {};
+      for(const label of this.matLabels){
+        piles[label] = [];
+      }
+      for(let i = 0; i < numCards; i++){
+        if(piles[labels[i]] === undefined){
+          return this.failed("Pass " + (pass + 1) + " deals card " + (i + 1) + " to '" + labels[i] + "', which isn't on the mat.");
+        }
+        piles[labels[i]].push(deck[numCards - 1 - i]);
+      }
+
+      if(packPiles != null && pass == passPages.length - 1){
+        return this.verifyPacks(piles, permutation, packPiles);
+      }
+      const gatherOrder = this.gatherOrderFromText(pages[pages.length - 1]);
+      if(gatherOrder == null){
+        return this.failed("Pass " + (pass + 1) + " gather instructions couldn't be followed: " + pages[pages.length - 1]);
+      }
+      //gatherOrder is the order piles are picked up in, each placed on the next, so the last pile picked up is the bottom of the new deck.
+      deck = [];
+      for(let i = gatherOrder.length - 1; i >= 0; i--){
+        deck = deck.concat(piles[gatherOrder[i]]);
+      }
+      if(deck.length != numCards){
+        return this.failed("Pass " + (pass + 1) + " gather instructions leave " + (numCards - deck.length) + " cards on the mat.");
+      }
+    }
+
+    for(let position = 0; position < numCards; position++){
+      if(permutation[deck[position]] != position){
+        return this.failed("After dealing, position " + position + " holds the card that started at " + deck[position] +
+                           ", but the randomisation put it at " + permutation[deck[position]] + ".");
+      }
+    }
+    return {verified: true, reason: ""};
+  }
+
+  //Each pack's pile, bottom card first, should be the cards at its positions (start upwards).
+  verifyPacks(piles, permutation, packPiles){
+    for(let i = 0; i < packPiles.length; i++){
+      const pile = piles[this.matLabels[i]];
+      if(pile.length != packPiles[i].size){
+        return this.failed(packPiles[i].name + " on " + this.matLabels[i] + " gets " + pile.length + " cards, not " + packPiles[i].size + ".");
+      }
+      for(let j = 0; j < pile.length; j++){
+        if(permutation[pile[j]] != packPiles[i].start + j){
+          return this.failed(packPiles[i].name + " on " + this.matLabels[i] + " holds the card that started at " + pile[j] +
+                             ", but the randomisation put it at " + permutation[pile[j]] + ".");
+        }
+      }
+    }
+    return {verified: true, reason: ""};
+  }
+
+  //The gather text says which pile goes on which first ("Place pile A1 on A2."), and that we carry on along the mat in that direction.
+  gatherOrderFromText(gatherText){
+    if(this.matLabels.length == 1){
+      return this.matLabels.slice();
+    }
+    const match = /Place pile (\S+) on (\S+?)\./.exec(gatherText);
+    if(match == null){
+      return null;
+    }
+    const first = this.matLabels.indexOf(match[1]);
+    const second = this.matLabels.indexOf(match[2]);
+    if(first == 0 && second == 1){
+      return this.matLabels.slice();
+    }
+    //Gathering backwards starts from the last space the pass used, which may not be the last on the mat.
+    if(first > 0 && second == first - 1){
+      return this.matLabels.slice(0, first + 1).reverse();
+    }
+    return null;
+  }
+
+  failed(reason){
+    sLog0("Verification failed: " + reason);
+    return {verified: false, reason: reason};
+  }
+}
+
+//Exhaustive end-to-end check - plan and verify every mat size up to maxRows * maxColumns, for each number of passes up to the planner's maxPasses
+//(using both the fewest and the most cards that need that many passes, capped at maxCards), each pile strategy and gather direction. Returns the list of failures (empty if all verified).
+function softVerifyAll(planner, maxRows, maxColumns, maxCards){
+    const failures = [];
+    for(let numRows = 1; numRows <= maxRows; numRows++){
+      for(let numColumns = 1; numColumns <= maxColumns; numColumns++){
+        const numPiles = numRows * numColumns;
+        if(numPiles < 2){
+          continue;
+        }
+        for(let numPasses = 1; numPasses <= planner.maxPasses; numPasses++){
+          const fewestCards = Math.pow(numPiles, numPasses - 1) + 1;
+          const mostCards = Math.pow(numPiles, numPasses);
+          for(const numCards of [fewestCards, mostCards]){
+            if(numCards > maxCards){
+              continue;
+            }
+            for(const pileStrategy of ["balanced", "effort", "uniform"]){
+              for(const gatherDirection of ["alternate", "forward", "backward"]){
+                try {
+                  planner.plan({numCards: numCards, numRows: numRows, numColumns: numColumns, numInstrRows: 2, pileStrategy: pileStrategy, gatherDirection: gatherDirection});
+                } catch(e) {
+                  failures.push({numCards: numCards, numRows: numRows, numColumns: numColumns, pileStrategy: pileStrategy, gatherDirection: gatherDirection, reason: e.message});
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    return failures;
+}
+
+
+// Rough model of the physical effort of a plan, in seconds, so mat sizes (and gather directions) can be compared on more than pass count.
+// Costs are counted from:
+// * placements - every card dealt in every pass.
+// * deal movement - how far the hand moves between the spaces of consecutive cards (in mat spaces, rows + columns apart).
+// * gather steps - placing one pile on the next, and the movement carrying the growing pile along the gather path, then back to the
+//   dealing hand (which sits just below the middle of the bottom row) - so it matters which end of the mat the gather finishes at.
+// * tall piles - cards over comfortablePileHeight in any pile, as tall piles slow the deal (and topple).
+// The weights are only rough timings, override them in the constructor ({placementSeconds: 1, ...}) to suit.
+class SoftCostModel{
+  placementSeconds = 0.7;
+  moveSecondsPerSpace = 0.15;
+  gatherStepSeconds = 1.5;
+  comfortablePileHeight = 40;
+  tallPileSecondsPerCard = 0.05;
+
+  constructor(weights = {}){
+    for(const name of ["placementSeconds", "moveSecondsPerSpace", "gatherStepSeconds", "comfortablePileHeight", "tallPileSecondsPerCard"]){
+      if(weights[name] !== undefined){
+        this[name] = weights[name];
+      }
+    }
+  }
+
+  distance(a, b){
+    return Math.abs(a.row - b.row) + Math.abs(a.column - b.column);
+  }
+
+  handPosition(mat){
+    return {row: mat.numRows, column: (mat.numColumns - 1) / 2};
+  }
+
+  //Hand movement to gather numPiles piles (see SoftInstructions.applyInstrToDeck() for the direction) and bring the deck back to the hand.
+  gatherMovement(mat, numPiles, gatherForward){
+    const order = [];
+    for(let i = 0; i < numPiles; i++){
+      order.push(gatherForward ? i : numPiles - 1 - i);
+    }
+    let movement = 0;
+    for(let i = 1; i < order.length; i++){
+      movement += this.distance(mat.spacePosition(order[i - 1]), mat.spacePosition(order[i]));
+    }
+    return movement + this.distance(mat.spacePosition(order[order.length - 1]), this.handPosition(mat));
+  }
+
+  //Expected cost of dealing numCards with these pile counts, without randomising anything (so cheap enough to try every mat size).
+  //gatherForwards says which way each pass is gathered, see SoftPlanner.gatherForwards() - against the natural direction the piles
+  //are mirrored, which reverses the pile sizes. Within a pass the cards' piles are (close to) independent, so the expected distance
+  //between consecutive cards is the pile-size-weighted mean distance between two spaces.
+  estimate(numCards, mat, pileCounts, gatherForwards, planner){
+    const breakdown = this.emptyBreakdown(pileCounts.length);
+    const allPileSizes = planner.pileSizes(numCards, pileCounts);
+    for(let pass = 0; pass < pileCounts.length; pass++){
+      let pileSizes = allPileSizes[pass];
+      if(gatherForwards[pass] != planner.naturalGatherForward(pileCounts.length, pass)){
+        pileSizes = pileSizes.slice().reverse();
+      }
+      const positions = pileSizes.map(function(size, index){ return mat.spacePosition(index); });
+      let meanDistance = 0;
+      let firstDistance = 0;
+      for(let a = 0; a < pileSizes.length; a++){
+        firstDistance += (pileSizes[a] / numCards) * this.distance(this.handPosition(mat), positions[a]);
+        for(let b = 0; b < pileSizes.length; b++){
+          meanDistance += (pileSizes[a] / numCards) * (pileSizes[b] / numCards) * this.distance(positions[a], positions[b]);
+        }
+      }
+      this.addPass(breakdown, pass, mat, numCards, firstDistance + meanDistance * (numCards - 1), pileSizes, gatherForwards[pass]);
+    }
+    return this.finish(breakdown);
+  }
+
+  //Actual cost of a plan from SoftPlanner.plan(), card by card.
+  measure(plan){
+    const breakdown = this.emptyBreakdown(plan.numPasses);
+    for(let pass = 0; pass < plan.numPasses; pass++){
+      const instructions = plan.instructions[pass];
+      const piles = instructions.dealOrderedPilesGetter();
+      const pileSizes = Array(instructions.numPilesGetter()).fill(0);
+      let hand = this.handPosition(plan.mat);
+      let dealMovement = 0;
+      for(const pile of piles){
+        const position = plan.mat.spacePosition(pile);
+        dealMovement += this.distance(hand, position);
+        hand = position;
+        pileSizes[pile]++;
+      }
+      this.addPass(breakdown, pass, plan.mat, piles.length, dealMovement, pileSizes, instructions.gatherDealForwardGetter());
+    }
+    return this.finish(breakdown);
+  }
+
+  emptyBreakdown(numPasses){
+    return {numPasses: numPasses, placements: 0, dealMovement: 0, gatherSteps: 0, gatherMovement: 0, tallestPiles: [], cardsOverHeight: 0, seconds: 0};
+  }
+
+  addPass(breakdown, pass, mat, numCards, dealMovement, pileSizes, gatherForward){
+    breakdown.placements += numCards;
+    breakdown.dealMovement += dealMovement;
+    breakdown.gatherSteps += pileSizes.length - 1;
+    breakdown.gatherMovement += this.gatherMovement(mat, pileSizes.length, gatherForward);
+    breakdown.tallestPiles[pass] = Math.max.apply(null, pileSizes);
+    for(const size of pileSizes){
+      breakdown.cardsOverHeight += Math.max(0, size - this.comfortablePileHeight);
+    }
+  }
+
+  finish(breakdown){
+    breakdown.seconds = breakdown.placements * this.placementSeconds
+      + (breakdown.dealMovement + breakdown.gatherMovement) * this.moveSecondsPerSpace
+      + breakdown.gatherSteps * this.gatherStepSeconds
+      + breakdown.cardsOverHeight * this.tallPileSecondsPerCard;
+    return breakdown;
+  }
+
+  describe(breakdown){
+    return "about " + (breakdown.seconds / 60).toFixed(1) + " min: " + breakdown.placements + " placements, "
+      + (breakdown.dealMovement / Math.max(1, breakdown.placements)).toFixed(1) + " spaces moved per card, "
+      + breakdown.gatherSteps + " gather steps, tallest pile " + Math.max.apply(null, [0].concat(breakdown.tallestPiles)) + " cards";
+  }
+}
+
+
+// The DOM-free core of a shuffle. plan() takes plain settings and returns everything SoftShuffle needs to present
+// (and everything a test or another front-end might want to inspect), so no getters or output callbacks are involved.
+// The returned plan holds:
+// * permutation - the Fisher-Yates result (permutation[i] is the final position of the card starting at position i, 0 being the bottom).
+// * numCardsDealt / dealtPositions / dealtPermutation - for a partial shuffle (settings.shuffleRange / fixedPositions, see dealtPositions())
+//   only the cards at dealtPositions are dealt, and everything below (instructions, decks, pages) is for that smaller deck, whose own
+//   permutation is dealtPermutation. For a full shuffle these are just every position and the same permutation.
+// * pileCounts - how many piles each pass deals to (see findPileCounts(), settings.pileStrategy picks how).
+// * fullPileCounts / firstPass - the passes worked out for the deck, and which of them the plan starts from - only ever past 0 when sorting
+//   (or recovering, see recover()), as a deck partly in order can be sorted by the last few passes alone.
+// * mat - the SoftMat the pages are mapped to (settings.matDefinition, a SoftMatDefinition, for anything other than a plain grid),
+//   settings.mat if one was given to reuse.
+// * gatherDirection - "alternate", "forward" or "backward" (settings.gatherDirection, see gatherForwards()).
+// * instructions - a SoftInstructions per pass.
+// * decks - the SoftDeck that results from each pass (so decks[numPasses - 1] should be 0..n-1 ascending).
+// * pages - the instructions for each pass mapped to the mat and split into pages, gather text last.
+// * createdAt - when the plan was made (ISO 8601), for exports and history. A rebuilt plan keeps settings.createdAt.
+// * restored - true when the plan was rebuilt from settings.dealtPermutation (a saved plan) rather than randomised, see SoftSessionStore.
+// * recovery - only on a plan from recover(), after a misdeal: its instructions, decks and pages are just the passes still to deal.
+// * sortTarget - settings.sortTarget when sorting: deckDefinition is then the deck as it is now, and finalOrder the target's names.
+// * packs - when settings.packs dealt the deck into packs or hands, where each one is (see packLayout()). The last pass's page of gather text
+//   says which pile is which pack instead, and decks[numPasses - 1] is the packs stacked as if they had been gathered. Unless they're shuffled
+//   (settings.packs.shuffled), one pass deals them and the permutation keeps each pack's cards in the order they're dealt.
+// * seed - the seed the permutation was generated from ("" when it came from crypto or a supplied randomSource).
+// * numEntropyFetches - how many getRandomValues() calls the randomisation took.
+// * verification - the SoftVerifier result. plan() throws rather than return instructions that fail verification.
+// * deckDefinition / finalOrder - if settings included a deckDefinition (which sets numCards), the card names in their final order, top first.
+// * constraintAttempts - how many full randomisations it took to meet settings.constraints (a SoftConstraints), 1 if there were none.
+// settings can also carry a seed, a randomSource, and the useCryptoRNG/useRejectionSampling switches (see softRandomSource()).
+class SoftPlanner{
+  numInstrPerRow = 5;
+  //This should be more than needed
+  maxPasses = 10;
+  //A misdeal with more cards than this out of place is dealt again rather than fixed up by hand (see recover()).
+  maxFixUpMoves = 3;
+
+  constructor(maxPasses, numInstrPerRow){
+    if(maxPasses !== undefined){
+      this.maxPasses = maxPasses;
+    }
+    if(numInstrPerRow !== undefined){
+      this.numInstrPerRow = numInstrPerRow;
+    }
+  }
+
+  //Its useful to be able to speculatively do this as well as in error checking.
+  //We manually check powers rather than testing roots to avoid rounding errors.
+  //We limit to maxPasses - even 3 should do what any user feasibly wants.
+  //A deck of 0 or 1 cards is already in every order, so takes no passes.
+  findNumPasses(numCards, numPiles){
+    if(numCards <= 1){
+      return 0;
+    }
+    let accumulator = numPiles;
+    let i = 1;
+    while(i <= this.maxPasses){
+      if(accumulator >= numCards){
+        return i;
+      } else {
+        i++;
+        accumulator *= numPiles;
+      }
+    }
+    return -1;
+  }
+
+  //The direction the algorithm gathers pass `pass` in - alternating, so the last pass is gathered forwards (see the explanation at the top).
+  naturalGatherForward(numPasses, pass){
+    return (numPasses + pass) % 2 == 0;
+  }
+
+  //Which way each pass is gathered. gatherDirection is "alternate" (the natural direction), or "forward" / "backward" for every pass,
+  //in which case any pass going against its natural direction has its piles mirrored (pile d dealt to space numPiles-1-d instead) -
+  //gathering the mirrored piles the other way round stacks exactly the same deck.
+  gatherForwards(numPasses, gatherDirection = "alternate"){
+    if(gatherDirection != "alternate" && gatherDirection != "forward" && gatherDirection != "backward"){
+      throw new RangeError("Unknown gather direction '" + gatherDirection + "' (expected alternate, forward or backward).");
+    }
+    const forwards = [];
+    for(let pass = 0; pass < numPasses; pass++){
+      forwards.push(gatherDirection == "alternate" ? this.naturalGatherForward(numPasses, pass) : gatherDirection == "forward");
+    }
+    return forwards;
+  }
+
+  //Estimate the effort (see SoftCostModel) of every mat up to maxRows * maxColumns, cheapest first - each gathered whichever way is least effort
+  //on it, and one entry for each pile counts and gather direction, so a bigger mat that only leaves its extra spaces empty doesn't fill the list.
+  //The first entry is the recommendation, each is {numRows, numColumns, gatherDirection, numPasses, pileCounts, cost}.
+  //Only the cheapest limit are returned, and a mat is only estimated if it could make those - every card placed on every pass and every
+  //gather step are a cost it can't avoid, whichever way it's gathered. The pile counts only depend on the number of spaces, so are worked out
+  //once for each.
+  recommendMats(numCards, maxRows, maxColumns, pileStrategy = "balanced", costModel = new SoftCostModel(), limit = Infinity){
+    const candidates = [];
+    //Less effort, or the same on a smaller mat.
+    const better = function(a, b){
+      return a.cost.seconds < b.cost.seconds || (a.cost.seconds == b.cost.seconds && a.numRows * a.numColumns < b.numRows * b.numColumns);
+    };
+    const dealtTheSame = function(a, b){
+      return a.gatherDirection == b.gatherDirection && a.pileCounts.join(",") == b.pileCounts.join(",");
+    };
+    const pileCountsBySpaces = {};
+    for(let numRows = 1; numRows <= maxRows; numRows++){
+      for(let numColumns = 1; numColumns <= maxColumns; numColumns++){
+        const numPiles = numRows * numColumns;
+        if(pileCountsBySpaces[numPiles] === undefined){
+          pileCountsBySpaces[numPiles] = this.findPileCounts(numCards, numPiles, pileStrategy);
+        }
+        const pileCounts = pileCountsBySpaces[numPiles];
+        if(pileCounts == null || (numPiles == 1 && numCards > 1)){
+          continue;
+        }
+        const unavoidableSeconds = numCards * pileCounts.length * costModel.placementSeconds
+                                   + pileCounts.reduce(function(sum, piles){ return sum + piles - 1; }, 0) * costModel.gatherStepSeconds;
+        if(candidates.length >= limit && unavoidableSeconds >= candidates[limit - 1].cost.seconds){
+          continue;
+        }
+        const mat = new SoftMat(numCards, numRows, numColumns, 1);
+        let candidate = null;
+        for(const gatherDirection of ["alternate", "forward", "backward"]){
+          const cost = costModel.estimate(numCards, mat, pileCounts, this.gatherForwards(pileCounts.length, gatherDirection), this);
+          if(candidate == null || cost.seconds < candidate.cost.seconds){
+            candidate = {numRows: numRows, numColumns: numColumns, gatherDirection: gatherDirection, numPasses: pileCounts.length, pileCounts: pileCounts, cost: cost};
+          }
+        }
+        //Only the best mat for each way of dealing is kept.
+        const same = candidates.findIndex(function(other){ return dealtTheSame(other, candidate); });
+        if(same != -1){
+          if(!better(candidate, candidates[same])){
+            continue;
+          }
+          candidates.splice(same, 1);
+        }
+        //Kept cheapest first, the smaller mat first on a tie.
+        let index = candidates.length;
+        while(index > 0 && better(candidate, candidates[index - 1])){
+          index--;
+        }
+        candidates.splice(index, 0, candidate);
+        if(candidates.length > limit){
+          candidates.pop();
+        }
+      }
+    }
+    return candidates;
+  }
+
+  //Mixed-radix dealing - each pass can use a different number of piles, as long as the product of them covers numCards
+  //(the passes are the digits of a mixed-radix number, pass 0 the least significant). Using all numPiles on every pass often
+  //overshoots - 50 cards on 8 piles needs 8*8 = 64 positions, but 7*8 = 56 will do - which leaves the last pile of the final pass short.
+  //We keep the fewest passes (findNumPasses()) and pick the pile counts by strategy:
+  // * "balanced" - least overshoot (so the final pass's piles are as even as possible), then the smallest spread of pile sizes across all passes.
+  // * "effort" - fewest piles in total (less reaching across the mat and fewer gather steps), then least overshoot.
+  // * "uniform" - numPiles on every pass, the original behaviour.
+  //Returns the pile count for each pass, or null if it would take more than maxPasses.
+  findPileCounts(numCards, numPiles, strategy = "balanced"){
+    const numPasses = this.findNumPasses(numCards, numPiles);
+    if(numPasses == -1){
+      return null;
+    }
+    if(strategy == "uniform" || numPiles < 3){
+      return Array(numPasses).fill(numPiles);
+    }
+    if(strategy != "balanced" && strategy != "effort"){
+      throw new RangeError("Unknown pile strategy '" + strategy + "' (expected balanced, effort or uniform).");
+    }
+
+    let best = null;
+    let bestScore = null;
+    const candidate = [];
+    const planner = this;
+    //Depth first over pile counts per pass (only ever the fewest passes, so at most maxPasses deep), pruning any branch that can't reach numCards
+    //even using every pile from here on, or can't beat the best primary score so far even with 2 piles on every pass left. More piles on the
+    //last pass only makes both primary scores worse, so it just gets the fewest that reach numCards.
+    function search(pass, product, totalPiles){
+      if(pass == numPasses){
+        const score = planner.scorePileCounts(numCards, candidate, strategy);
+        if(bestScore == null || score[0] < bestScore[0] || (score[0] == bestScore[0] && score[1] < bestScore[1])){
+          best = candidate.slice();
+          bestScore = score;
+        }
+        return;
+      }
+      const passesLeft = numPasses - pass - 1;
+      const fewestPiles = passesLeft == 0 ? Math.max(2, Math.ceil(numCards / product)) : 2;
+      const mostPiles = passesLeft == 0 ? Math.min(fewestPiles, numPiles) : numPiles;
+      for(let piles = fewestPiles; piles <= mostPiles; piles++){
+        if(product * piles * Math.pow(numPiles, passesLeft) < numCards){
+          continue;
+        }
+        if(bestScore != null){
+          const bound = strategy == "effort" ? totalPiles + piles + 2 * passesLeft : Math.max(numCards, product * piles * Math.pow(2, passesLeft)) - numCards;
+          if(bound > bestScore[0]){
+            break;
+          }
+        }
+        candidate[pass] = piles;
+        search(pass + 1, product * piles, totalPiles + piles);
+      }
+    }
+    search(0, 1, 0);
+    return best;
+  }
+
+  //How many cards land on each pile in every pass for these pile counts.
+  //Pass k deals by digit k, ie trunc(position / divisor) % piles, with divisor the product of the earlier passes' pile counts.
+  pileSizes(numCards, pileCounts){
+    const sizes = [];
+    let divisor = 1;
+    for(const piles of pileCounts){
+      const cycle = divisor * piles;
+      const passSizes = [];
+      for(let digit = 0; digit < piles; digit++){
+        const remainder = numCards % cycle;
+        passSizes[digit] = Math.floor(numCards / cycle) * divisor + Math.min(divisor, Math.max(0, remainder - digit * divisor));
+      }
+      sizes.push(passSizes);
+      divisor = cycle;
+    }
+    return sizes;
+  }
+
+  //[primary, tie-break] scores for findPileCounts(), lower is better.
+  scorePileCounts(numCards, pileCounts, strategy){
+    const overshoot = pileCounts.reduce(function(product, piles){ return product * piles; }, 1) - numCards;
+    const totalPiles = pileCounts.reduce(function(sum, piles){ return sum + piles; }, 0);
+    if(strategy == "effort"){
+      return [totalPiles, overshoot];
+    }
+    let spread = 0;
+    for(const passSizes of this.pileSizes(numCards, pileCounts)){
+      spread += Math.max.apply(null, passSizes) - Math.min.apply(null, passSizes);
+    }
+    return [overshoot, spread];
+  }
+
+  //Throws unless permutation holds each of 0..numCards-1 exactly once.
+  checkPermutation(permutation, numCards){
+    if(!Array.isArray(permutation) || permutation.length != numCards){
+      throw new RangeError("Saved order has " + (Array.isArray(permutation) ? permutation.length : "no") + " positions, expected " + numCards + ".");
+    }
+    const seen = Array(numCards).fill(false);
+    for(const position of permutation){
+      if(!Number.isInteger(position) || position < 0 || position >= numCards || seen[position]){
+        throw new RangeError("Saved order isn't a valid permutation (position " + position + ").");
+      }
+      seen[position] = true;
+    }
+  }
+
+  //The function for each pass giving the pile a card is dealt to, from the position it has to end up in.
+  //With mixed-radix dealing the divisor is the product of the pile counts of the earlier passes (numPiles^i when every pass uses numPiles).
+  //keys (when dealing packs, see packLayout()) replaces each position with the number the passes deal it by.
+  passFunctions(pileCounts, gatherForwards, keys = null){
+    const numPasses = pileCounts.length;
+    const functionArray = [];
+    let divisor = 1;
+    for(let i = 0; i < numPasses; i++){
+      const passDivisor = divisor;
+      function quotientFunction (newPosition, numPiles) { return (Math.trunc(newPosition / passDivisor) % numPiles); };
+      function mirroredQuotientFunction (newPosition, numPiles) { return numPiles - 1 - quotientFunction(newPosition, numPiles); };
+      const passFunction = gatherForwards[i] == this.naturalGatherForward(numPasses, i) ? quotientFunction : mirroredQuotientFunction;
+      functionArray[i] = keys == null ? passFunction : function(newPosition, numPiles){ return passFunction(keys[newPosition], numPiles); };
+      divisor *= pileCounts[i];
+    }
+    return functionArray;
+  }
+
+  //Pile counts for dealing packs or hands (settings.packs, see softPacksFromText()): one pass dealing each pack to its own pile instead of
+  //gathering - the packs in order, then any cards left over on one more pile. Shuffled packs (packs.shuffled) first take enough passes to put
+  //the biggest pack's cards in order too. null if that takes too many passes, throws a RangeError if the packs can't be dealt at all.
+  packPileCounts(sizes, numCards, numPiles, strategy = "balanced", shuffled = false){
+    if(sizes.length == 0 || sizes.some(function(size){ return !Number.isInteger(size) || size < 1; })){
+      throw new RangeError("Pack sizes must be whole numbers of 1 or more.");
+    }
+    const total = sizes.reduce(function(sum, size){ return sum + size; }, 0);
+    if(total > numCards){
+      throw new RangeError("The packs need " + total + " cards, but there are only " + numCards + ".");
+    }
+    const numPackPiles = sizes.length + (total < numCards ? 1 : 0);
+    if(numPackPiles > numPiles){
+      throw new RangeError(numPackPiles + " packs" + (total < numCards ? " (counting the cards left over)" : "") + " won't fit on " + numPiles + " mat spaces, a pile each.");
+    }
+    if(!shuffled){
+      return [numPackPiles];
+    }
+    const largest = Math.max(numCards - total, Math.max.apply(null, sizes));
+    const orderPileCounts = largest > 1 ? this.findPileCounts(largest, numPiles, strategy) : [];
+    if(orderPileCounts == null || orderPileCounts.length + 1 > this.maxPasses){
+      return null;
+    }
+    return orderPileCounts.concat([numPackPiles]);
+  }
+
+  //Where each pack comes from: pack k is the cards that end up at positions start..start + size - 1 (from the bottom), with the cards left over
+  //last. keys[position] is pack * (the pile counts before the last pass multiplied together) + its place in the pack, so the passes before the
+  //last put each pack in order and the last deals the packs apart (see passFunctions()) - or just the pack, when one pass deals them. As the
+  //final positions are uniformly random, so is which cards each pack gets (and their order, for shuffled packs, see settlePacks()).
+  //Returns {noun, sizes, shuffled, piles: [{name, size, start}] (pile k on the mat is piles[k]), keys}.
+  packLayout(packs, numCards, pileCounts){
+    const divisor = pileCounts.slice(0, -1).reduce(function(product, piles){ return product * piles; }, 1);
+    const total = packs.sizes.reduce(function(sum, size){ return sum + size; }, 0);
+    const sizes = total < numCards ? packs.sizes.concat([numCards - total]) : packs.sizes;
+    const piles = [];
+    const keys = [];
+    let start = 0;
+    sizes.forEach(function(size, pack){
+      piles.push({name: pack < packs.sizes.length ? packs.noun + " " + (pack + 1) : "Rest of the deck", size: size, start: start});
+      for(let i = 0; i < size; i++){
+        keys[start + i] = pack * divisor + (packs.shuffled ? i : 0);
+      }
+      start += size;
+    });
+    return {noun: packs.noun, sizes: packs.sizes.slice(), shuffled: packs.shuffled === true, piles: piles, keys: keys};
+  }
+
+  //Packs dealt in one pass (see packPileCounts()) get their cards in the order they're dealt - from the top of the deck, each card on top of the
+  //last one on its pile. deck (the final position of each card, 0-bottomed) is returned with each pack's positions handed back out in that order,
+  //so which cards a pack gets is unchanged and the order is exactly what gets dealt.
+  settlePacks(deck, packPiles){
+    const packOf = [];
+    packPiles.forEach(function(pile, pack){
+      for(let i = 0; i < pile.size; i++){
+        packOf[pile.start + i] = pack;
+      }
+    });
+    const next = packPiles.map(function(pile){ return pile.start; });
+    const settled = [];
+    for(let i = deck.length - 1; i >= 0; i--){
+      settled[i] = next[packOf[deck[i]]]++;
+    }
+    return settled;
+  }
+
+  //gatherForwards() for a plan - the pass dealing packs isn't gathered, so it always keeps its natural direction (the packs in order along the mat).
+  planGatherForwards(numPasses, gatherDirection, dealsPacks){
+    const forwards = this.gatherForwards(numPasses, gatherDirection);
+    if(dealsPacks){
+      forwards[numPasses - 1] = this.naturalGatherForward(numPasses, numPasses - 1);
+    }
+    return forwards;
+  }
+
+  //The fewest of the last passes that sort startDeck (a 0-bottomed array of the positions the cards have to end up in). Dealing them all
+  //always does, as it would from any order, but the last passes only need the deck to be in order within each of the groups they deal
+  //together, so a deck that's partly in order can need fewer (none if it's already sorted). Returns {firstPass, dealt} (see dealPasses()).
+  fewestPasses(startDeck, pileCounts, gatherForwards, functionArray, matMapper, packLayout = null){
+    for(let firstPass = pileCounts.length; firstPass > 0; firstPass--){
+      const dealt = this.dealPasses(new SoftDeck(startDeck.length, startDeck, 0), pileCounts.slice(firstPass), gatherForwards.slice(firstPass),
+                                    functionArray.slice(firstPass), matMapper, packLayout);
+      const finalDeck = dealt.decks.length > 0 ? dealt.decks[dealt.decks.length - 1].deckGetter() : startDeck;
+      if(finalDeck.every(function(position, i){ return position == i; })){
+        return {firstPass: firstPass, dealt: dealt};
+      }
+    }
+    return {firstPass: 0, dealt: this.dealPasses(new SoftDeck(startDeck.length, startDeck, 0), pileCounts, gatherForwards, functionArray, matMapper, packLayout)};
+  }
+
+  //Deal startDeck (a SoftDeck) through the given passes - pileCounts, gatherForwards and functionArray (see passFunctions()) have an entry
+  //per pass, so a recovery (see recover()) can deal just the last few passes of a plan, and packLayout is set when the last pass deals packs.
+  //Returns the {instructions, decks, pages} of each pass.
+  dealPasses(startDeck, pileCounts, gatherForwards, functionArray, matMapper, packLayout = null){
+    let currentDeck = startDeck;
+    const dealt = {instructions: [], decks: [], pages: []};
+    for(let i = 0; i < pileCounts.length; i++){
+      //Create the next set of functions based on the quotient function for this pass
+      const newInstr = new SoftInstructions(currentDeck.deckSizeGetter(), currentDeck.applyFuncToDeck(functionArray[i], pileCounts[i]), gatherForwards[i], pileCounts[i]);
+      //apply the instructions to genenerate the new deck that will be generated once dealing has happened.
+      const newDeck = new SoftDeck(currentDeck.deckSizeGetter(), newInstr.applyInstrToDeck(currentDeck, pileCounts[i]), 0);
+      dealt.instructions.push(newInstr);
+      dealt.decks.push(newDeck);
+      //Map the instructions to the mat and generate the Strings needed to output.
+      dealt.pages.push(matMapper.mapInstructionsToMat(newInstr));
+      //The last pass of a plan dealing packs leaves them on the mat rather than gathering.
+      if(packLayout != null && i == pileCounts.length - 1){
+        dealt.pages[i][dealt.pages[i].length - 1] = matMapper.createPackInstructionString(packLayout.piles);
+      }
+      currentDeck = newDeck;
+    }
+    return dealt;
+  }
+
+  //Which cards actually get dealt, as 0-bottomed positions in ascending order.
+  //shuffleRange is {mode: "all" | "top" | "bottom", count} - only the top/bottom count cards are shuffled, the rest stay put.
+  //fixedPositions (counted from the TOP, starting at 0, like everything the user types) stay put too, eg a commander or a stacked bottom card.
+  dealtPositions(numCards, shuffleRange, fixedPositions){
+    let lowest = 0;
+    let highest = numCards - 1;
+    if(shuffleRange && shuffleRange.mode && shuffleRange.mode != "all"){
+      if(!Number.isInteger(shuffleRange.count) || shuffleRange.count < 1 || shuffleRange.count > numCards){
+        throw new RangeError("The number of cards to shuffle must be 1 to " + numCards + " (got " + shuffleRange.count + ").");
+      }
+      if(shuffleRange.mode == "top"){
+        lowest = numCards - shuffleRange.count;
+      } else if(shuffleRange.mode == "bottom"){
+        highest = shuffleRange.count - 1;
+      } else {
+        throw new RangeError("Unknown shuffle range '" + shuffleRange.mode + "' (expected all, top or bottom).");
+      }
+    }
+    const isFixed = Array(numCards).fill(false);
+    for(const topFirstPosition of (fixedPositions || [])){
+      if(topFirstPosition >= numCards){
+        throw new RangeError("Fixed position " + topFirstPosition + " is outside the deck (positions are 0 to " + (numCards - 1) + ").");
+      }
+      isFixed[numCards - 1 - topFirstPosition] = true;
+    }
+    const positions = [];
+    for(let i = lowest; i <= highest; i++){
+      if(!isFixed[i]){
+        positions.push(i);
+      }
+    }
+    if(positions.length == 0 && numCards > 0){
+      throw new RangeError("Every card is fixed, there's nothing to shuffle.");
+    }
+    return positions;
+  }
+
+  //The dealt cards form their own little deck (same relative order, 0-bottomed), which gets dealtPermutation.
+  //Put that back into the full deck - the dealt cards only move between the dealt positions, everything else stays where it is.
+  expandPermutation(numCards, dealtPositions, dealtPermutation){
+    const permutation = [];
+    for(let i = 0; i < numCards; i++){
+      permutation[i] = i;
+    }
+    for(let k = 0; k < dealtPositions.length; k++){
+      permutation[dealtPositions[k]] = dealtPositions[dealtPermutation[k]];
+    }
+    return permutation;
+  }
+
+  //Perform a full randomisation.
+  //With 1 pass, deal cards to where they are meant to be, and gather.
+  //With 2 pass, deal cards to the right piles for a final pass, gather, final pass.
+  //Antepenultimate, penultimate, ultimate are the proper terms for thirdToLast, secondToLast and Last, 
+  //but are actually longer to write out and lower readability.
+  plan(settings){
+    const deckDefinition = settings.deckDefinition || null;
+    const numCards = deckDefinition != null ? deckDefinition.numCardsGetter() : settings.numCards;
+    //A mat definition (any shape, its own labels and gather path) replaces the plain numRows * numColumns grid.
+    const matDefinition = settings.matDefinition || null;
+    const numRows = matDefinition != null ? matDefinition.numRows : settings.numRows;
+    const numColumns = matDefinition != null ? matDefinition.numColumns : settings.numColumns;
+    const numInstrRows = settings.numInstrRows;
+    //An empty deck is allowed, it just takes no passes.
+    for(const [name, value, min] of [["numCards", numCards, 0], ["numRows", numRows, 1], ["numColumns", numColumns, 1], ["numInstrRows", numInstrRows, 1]]){
+      if(!Number.isInteger(value) || value < min){
+        throw new RangeError(name + " must be a whole number of " + min + " or more (got " + value + ").");
+      }
+    }
+    const dealtPositions = this.dealtPositions(numCards, settings.shuffleRange, settings.fixedPositions);
+    const numCardsDealt = dealtPositions.length;
+    const numPiles = matDefinition != null ? matDefinition.numSpacesGetter() : numColumns * numRows;
+    const numCardsPerDeal = numInstrRows * this.numInstrPerRow;
+    //Sorting (settings.sortTarget, a SoftDeckDefinition of the order to end in) deals deckDefinition, the deck as it is now, into that order.
+    const sortTarget = settings.sortTarget || null;
+    if(sortTarget != null && (deckDefinition == null || numCardsDealt != numCards)){
+      throw new RangeError("Sorting needs the deck's current order by card name, and deals the whole deck.");
+    }
+    //Dealing packs or hands (settings.packs, see softPacksFromText(), shuffled true to randomise the order within them too) replaces the last
+    //gather with a pile per pack, see packLayout().
+    const packs = settings.packs || null;
+    if(packs != null && (sortTarget != null || numCardsDealt != numCards)){
+      throw new RangeError("Packs are dealt from the whole deck once it's randomised, not when sorting or shuffling part of it.");
+    }
+    const pileCounts = packs != null ? this.packPileCounts(packs.sizes, numCardsDealt, numPiles, settings.pileStrategy || "balanced", packs.shuffled === true)
+                                     : this.findPileCounts(numCardsDealt, numPiles, settings.pileStrategy || "balanced");
+    if(pileCounts == null){
+      throw new RangeError("Too many passes needed (more than " + this.maxPasses + ") for " + numCardsDealt + " cards on " + numPiles + " piles.");
+    }
+    const numPasses = pileCounts.length;
+    const packLayout = packs != null ? this.packLayout(packs, numCardsDealt, pileCounts) : null;
+
+    //Create Mat representation - or reuse settings.mat, one made by an earlier plan with the same layout and number of cards (see planBatch()).
+    let matMapper = settings.mat || null;
+    if(matMapper != null && (matMapper.numCards != numCardsDealt || matMapper.numCardsPerDeal != numCardsPerDeal || matMapper.numRows != numRows || matMapper.numColumns != numColumns)){
+      throw new RangeError("The mat to reuse was set up for " + matMapper.numCards + " cards on " + matMapper.numColumns + "*" + matMapper.numRows + ", not " + numCardsDealt + " on " + numColumns + "*" + numRows + ".");
+    }
+    if(matMapper == null){
+      matMapper = new SoftMat(numCardsDealt, numRows, numColumns, numCardsPerDeal, matDefinition);
+      matMapper.printMat();
+    }
+
+    const constraints = (settings.constraints && !settings.constraints.isEmpty()) ? settings.constraints : null;
+    if(constraints != null){
+      constraints.checkAgainstDeck(numCards);
+    }
+
+    //We only create a Deck from nothing here - this creates ones with the initial positions matching the array indices - ie unshuffled.
+    const initialPositions = [];
+    for (let i = 0; i < numCardsDealt; i++) {
+        initialPositions[i] = i;
+    }
+    const seed = (settings.seed === undefined || settings.seed === null) ? "" : String(settings.seed);
+    const randomSource = softRandomSource(settings.useCryptoRNG, seed, settings.randomSource);
+    let initialDeck = null;
+    let permutation = null;
+    let numEntropyFetches = 0;
+    let constraintAttempts = 0;
+    
+    //Rebuilding a saved plan (settings.dealtPermutation, eg when resuming after a refresh) must give back the same deal, so nothing is randomised -
+    //the instructions are worked out from the saved permutation, which is checked to still be one (and still meet any constraints).
+    //Sorting is the same, with the permutation taking each card to its place in the target order.
+    if(settings.dealtPermutation !== undefined || sortTarget != null){
+      const dealtPermutation = sortTarget != null ? softSortPermutation(deckDefinition.topFirstCardNames, sortTarget.topFirstCardNames) : settings.dealtPermutation;
+      this.checkPermutation(dealtPermutation, numCardsDealt);
+      initialDeck = new SoftDeck(numCardsDealt, dealtPermutation, 0);
+      permutation = this.expandPermutation(numCards, dealtPositions, initialDeck.deckGetter());
+      constraintAttempts = settings.constraintAttempts || 1;
+      if(constraints != null && !constraints.satisfiedBy(permutation)){
+        throw new RangeError("The saved order doesn't meet the constraints it was made with.");
+      }
+    } else {
+      //Perform randomisation - with constraints, as many times as it takes to get an order that meets them (see SoftConstraints).
+      do {
+        if(constraintAttempts == (constraints != null ? constraints.attemptLimit(numCards) : 1)){
+          throw new RangeError("No order meeting the constraints found in " + constraintAttempts + " attempts - they're too strict (or impossible) for " + numCards + " cards.");
+        }
+        initialDeck = new SoftDeck(numCardsDealt, initialPositions, 0);
+        numEntropyFetches += initialDeck.randomiseDeck(randomSource, settings.useRejectionSampling !== false);
+        //Packs dealt in one pass end up in the order they're dealt, see settlePacks(). A saved order was settled when it was made.
+        if(packLayout != null && !packLayout.shuffled){
+          initialDeck = new SoftDeck(numCardsDealt, this.settlePacks(initialDeck.deckGetter(), packLayout.piles), 0);
+        }
+        permutation = this.expandPermutation(numCards, dealtPositions, initialDeck.deckGetter());
+        constraintAttempts++;
+      } while(constraints != null && !constraints.satisfiedBy(permutation));
+    }
+    if(constraints != null){
+      sLog0("Constraints met after " + constraintAttempts + " attempts:\n" + constraints.describe());
+    }
+    initialDeck.printDeck("Deck post-randomisation - array element show the position we wish that card to end up in.");
+    sLog0("NOTE! All randomisation has happened now, the rest (and vast majority) of the code is how to generate 1,2 or 3 deals to get the cards to their randomised postions.")
+
+
+    //NOTE: I've retained the following commented out code to make it easier to understand what's going on here. 
+    //It also may be useful for compatibility issue.
+    //The functions used to generate the pile each card should be dealt to, expressed as the general case where only the power used in division changes.
+    //'UnityQuotientFunc' is really just a remainder function but expressed fully here to show the general case.
+    // It simplifies to 'function remainderFunc (newPosition, numPiles) { return newPosition % numPiles; };'
+    //Naming is tricky, but for simplicity i've used (for example) 'square' quotient to represent the fact that for 2-pass, the number of cards must be <= square of the number of piles.
+    //function unityQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 0)) % numPiles); };
+    //function squareQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 1)) % numPiles); };
+    //function cubeQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 2)) % numPiles); };
+    //function quadQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 3)) % numPiles); };
+    //function quintQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 4)) % numPiles); };
+    //let functionArray = [unityQuotientFunc, squareQuotientFunc, cubeQuotientFunc, quadQuotientFunc, quintQuotientFunc];
+    //General case expressed programatically, see passFunctions().
+    //A pass gathered against its natural direction (settings.gatherDirection, see gatherForwards()) deals to the mirrored piles.
+    //Gather forwards alternates true / false / true, and starts false if numPasses is odd, true on even (unless settings.gatherDirection fixed it).
+    const gatherDirection = settings.gatherDirection || "alternate";
+    const gatherForwards = this.planGatherForwards(numPasses, gatherDirection, packLayout != null);
+    const functionArray = this.passFunctions(pileCounts, gatherForwards, packLayout != null ? packLayout.keys : null);
+
+    //perform the required number of passes (realistically only ever likely to be max 4, but lets people explore the algorithm)
+    //A deck being sorted may already be in order enough for the last few passes alone, see fewestPasses().
+    let firstPass = 0;
+    let dealt;
+    if(sortTarget != null){
+      ({firstPass, dealt} = this.fewestPasses(initialDeck.deckGetter(), pileCounts, gatherForwards, functionArray, matMapper));
+    } else {
+      dealt = this.dealPasses(initialDeck, pileCounts, gatherForwards, functionArray, matMapper, packLayout);
+    }
+    const instrArray = dealt.instructions;
+    const deckArray = dealt.decks;
+    const mappedInstructions = dealt.pages;
+
+    //Log the instructions and new decks 
+    for(let i = 0; i < instrArray.length; i++){
+      instrArray[i].printInstructions("Pass " + i + " instructions");
+      deckArray[i].printDeck("New deck after Pass " + i + " instructions applied to it.");
+      sLog("Instructions for Pass " + i + " mapped to mat, split by number of rows of instructions + gather text", mappedInstructions[i]);
+    }
+
+    //Replay what the user will actually be shown, never hand out instructions that don't realise the permutation.
+    const verification = new SoftVerifier(matMapper.matMappings).verify(mappedInstructions, initialDeck.deckGetter(), packLayout != null ? packLayout.piles : null);
+    if(!verification.verified){
+      throw new Error("Instructions failed verification, please report this. " + verification.reason);
+    }
+    sLog0("Instructions verified - replaying the deal instructions gives the randomised order.");
+
+    return {
+      numCards: numCards,
+      numRows: numRows,
+      numColumns: numColumns,
+      numInstrRows: numInstrRows,
+      numPiles: numPiles,
+      numPasses: instrArray.length,
+      pileCounts: pileCounts.slice(firstPass),
+      fullPileCounts: pileCounts,
+      firstPass: firstPass,
+      pileStrategy: settings.pileStrategy || "balanced",
+      gatherDirection: gatherDirection,
+      numCardsPerDeal: numCardsPerDeal,
+      seed: settings.randomSource ? "" : seed,
+      numEntropyFetches: numEntropyFetches,
+      constraints: constraints,
+      constraintAttempts: constraintAttempts,
+      verification: verification,
+      mat: matMapper,
+      deckDefinition: deckDefinition,
+      finalOrder: sortTarget != null ? sortTarget.topFirstCardNames.slice() : (deckDefinition != null ? deckDefinition.finalOrder(permutation) : null),
+      permutation: permutation,
+      numCardsDealt: numCardsDealt,
+      shuffleRange: settings.shuffleRange || {mode: "all", count: numCards},
+      fixedPositions: Array.from(new Set(settings.fixedPositions || [])).sort(function(a, b){ return a - b; }),
+      dealtPositions: dealtPositions,
+      dealtPermutation: initialDeck.deckGetter().slice(),
+      instructions: instrArray,
+      decks: deckArray,
+      pages: mappedInstructions,
+      createdAt: settings.createdAt || new Date().toISOString(),
+      restored: settings.dealtPermutation !== undefined,
+      sortTarget: sortTarget,
+      packs: packLayout
+    };
+  }
+
+  //Plan a batch of decks at once, eg the decks for a tournament or the packs for a cube draft. decks is [{name, numCards}] (see softBatchFromText()),
+  //settings the plan() settings they all share. Each deck gets its own randomisation - with a seed, its own seed (seed/1, seed/2...) so the whole
+  //batch can be made again - and decks with the same number of cards share one SoftMat. Returns [{name, id, plan}], id being the deck's number
+  //and its softPlanId(), eg "3-5F0A2C". Throws a RangeError naming the deck if any of them can't be planned.
+  planBatch(decks, settings){
+    const mats = new Map();
+    const seed = (settings.seed === undefined || settings.seed === null) ? "" : String(settings.seed);
+    return decks.map((deck, i) => {
+      const deckSettings = Object.assign({}, settings, {numCards: deck.numCards, deckDefinition: null, mat: mats.get(deck.numCards)});
+      if(seed !== ""){
+        deckSettings.seed = seed + "/" + (i + 1);
+      }
+      let plan;
+      try {
+        plan = this.plan(deckSettings);
+      } catch(e) {
+        throw new RangeError("Deck " + (i + 1) + " (" + deck.name + "): " + e.message);
+      }
+      if(plan.numCardsDealt == plan.numCards){
+        mats.set(deck.numCards, plan.mat);
+      }
+      return {name: deck.name, id: (i + 1) + "-" + softPlanId(plan), plan: plan};
+    });
+  }
+
+  //The deck (0-bottomed array of the positions the cards have to end up in) a plan's pass starts from.
+  deckBeforePass(plan, pass){
+    if(pass > 0){
+      return plan.decks[pass - 1].deckGetter().slice();
+    }
+    return plan.recovery != null ? plan.recovery.deck.slice() : plan.dealtPermutation.slice();
+  }
+
+  //What the deck actually is after a pass dealt with mistakes - report is {pass (0-based), mistakes: [{card, pile}], gatherOrder} (see
+  //softMisdealFromText()), card being 1-based in dealing order and pile a mat label. The rest of the pass is taken to have gone as instructed.
+  misdealtDeck(plan, report){
+    if(!Number.isInteger(report.pass) || report.pass < 0 || report.pass >= plan.numPasses){
+      throw new RangeError("There's no pass " + (report.pass + 1) + " - there " + (plan.numPasses == 1 ? "is 1 pass." : "are " + plan.numPasses + " passes."));
+    }
+    const labels = plan.mat.matMappings;
+    const instructions = plan.instructions[report.pass];
+    const numPiles = instructions.numPilesGetter();
+    const numCards = instructions.numInstrGetter();
+    const usedLabels = labels.slice(0, numPiles).join(" ");
+    const pileIndex = function(label){
+      const index = labels.indexOf(label);
+      if(index < 0 || index >= numPiles){
+        throw new RangeError("'" + label + "' isn't one of the piles pass " + (report.pass + 1) + " deals to (" + usedLabels + ").");
+      }
+      return index;
+    };
+
+    const dealtTo = instructions.dealOrderedPilesGetter().slice();
+    for(const mistake of report.mistakes || []){
+      if(!Number.isInteger(mistake.card) || mistake.card < 1 || mistake.card > numCards){
+        throw new RangeError("Card " + mistake.card + " isn't in pass " + (report.pass + 1) + ", which deals cards 1 to " + numCards + ".");
+      }
+      dealtTo[mistake.card - 1] = pileIndex(mistake.pile);
+    }
+    let gatherOrder = [];
+    if(report.gatherOrder != null){
+      gatherOrder = report.gatherOrder.map(pileIndex);
+      if(new Set(gatherOrder).size != numPiles || gatherOrder.length != numPiles){
+        throw new RangeError("The gather order should list each of the " + numPiles + " piles (" + usedLabels + ") once.");
+      }
+    } else {
+      for(let i = 0; i < numPiles; i++){
+        gatherOrder.push(instructions.gatherDealForwardGetter() ? i : numPiles - 1 - i);
+      }
+    }
+
+    //Same as SoftInstructions.applyInstrToDeck() - deal from the top, then the first pile picked up ends on top.
+    const deck = this.deckBeforePass(plan, report.pass);
+    const piles = [];
+    for(let i = 0; i < numPiles; i++){
+      piles[i] = [];
+    }
+    for(let i = 0; i < numCards; i++){
+      piles[dealtTo[i]].push(deck[numCards - 1 - i]);
+    }
+    let misdealt = [];
+    for(let i = numPiles - 1; i >= 0; i--){
+      misdealt = misdealt.concat(piles[gatherOrder[i]]);
+    }
+    return misdealt;
+  }
+
+  //The fewest cards to move by hand to turn deck into intended (both 0-bottomed), as [{from, to}] in the order to do them - take out the card
+  //from'th from the top and put it back so it's to'th from the top, counted from 1 in the deck as it is at that point. Every card outside
+  //a longest run already in the right relative order has to move once. null if that's more than maxFixUpMoves.
+  fixUpMoves(deck, intended){
+    const numCards = deck.length;
+    const intendedIndex = {};
+    for(let i = 0; i < numCards; i++){
+      intendedIndex[intended[numCards - 1 - i]] = i;
+    }
+    //Top first, each card's place in the intended deck.
+    const targets = [];
+    for(let i = 0; i < numCards; i++){
+      targets.push(intendedIndex[deck[numCards - 1 - i]]);
+    }
+
+    //Longest increasing subsequence (patience sorting), those cards stay put.
+    const tails = [];
+    const tailIndex = [];
+    const previousIndex = Array(numCards).fill(-1);
+    for(let i = 0; i < numCards; i++){
+      let low = 0;
+      let high = tails.length;
+      while(low < high){
+        const middle = (low + high) >> 1;
+        if(tails[middle] < targets[i]){
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      tails[low] = targets[i];
+      tailIndex[low] = i;
+      previousIndex[i] = low > 0 ? tailIndex[low - 1] : -1;
+    }
+    if(numCards - tails.length > this.maxFixUpMoves){
+      return null;
+    }
+    const staying = new Set();
+    for(let i = tails.length > 0 ? tailIndex[tails.length - 1] : -1; i >= 0; i = previousIndex[i]){
+      staying.add(targets[i]);
+    }
+
+    //Move the others in intended order, each to just below the card that should be above it (which is in place by then).
+    const working = targets.slice();
+    const moves = [];
+    for(let target = 0; target < numCards; target++){
+      if(staying.has(target)){
+        continue;
+      }
+      const from = working.indexOf(target);
+      working.splice(from, 1);
+      const to = target == 0 ? 0 : working.indexOf(target - 1) + 1;
+      working.splice(to, 0, target);
+      moves.push({from: from + 1, to: to + 1});
+    }
+    return moves;
+  }
+
+  //Recover from a misdeal (see misdealtDeck() for the report) - a new plan that still ends in the same randomised order, dealing on from the deck
+  //as it actually is once the misdealt pass has been gathered. A few cards out of place (up to maxFixUpMoves, see fixUpMoves()) are moved back
+  //by hand and the remaining passes carry on as before; anything else is dealt again through as few of the plan's passes as will sort it (see
+  //fewestPasses()). The final order is unchanged, so it stays uniformly random.
+  //The new plan's recovery holds {reports, pass, unchanged, fixUp (the moves, or null), passesRedealt, deck (the deck it starts from)}, and it
+  //can be recovered again in turn. Throws a RangeError if the report doesn't make sense for the plan.
+  recover(plan, report){
+    const misdealt = this.misdealtDeck(plan, report);
+    const reports = plan.recovery != null ? plan.recovery.reports : [];
+    if(plan.packs != null && report.pass == plan.numPasses - 1){
+      return this.recoverPacks(plan, report, reports);
+    }
+    const fullPileCounts = plan.fullPileCounts;
+    const fullPass = plan.firstPass + report.pass;
+    const intended = plan.decks[report.pass].deckGetter();
+    const unchanged = misdealt.every(function(position, i){ return position == intended[i]; });
+    const fixUp = unchanged ? null : this.fixUpMoves(misdealt, intended);
+
+    let firstPass;
+    let startDeck;
+    let dealt;
+    if(unchanged || fixUp != null){
+      //Fix the deck up by hand, then carry on with the plan's remaining passes.
+      firstPass = fullPass + 1;
+      startDeck = intended.slice();
+      dealt = {instructions: plan.instructions.slice(report.pass + 1), decks: plan.decks.slice(report.pass + 1), pages: plan.pages.slice(report.pass + 1)};
+    } else {
+      const gatherForwards = this.planGatherForwards(fullPileCounts.length, plan.gatherDirection, plan.packs != null);
+      const keys = plan.packs != null ? plan.packs.keys : null;
+      startDeck = misdealt;
+      ({firstPass, dealt} = this.fewestPasses(startDeck, fullPileCounts, gatherForwards, this.passFunctions(fullPileCounts, gatherForwards, keys), plan.mat, plan.packs));
+    }
+
+    const verification = new SoftVerifier(plan.mat.matMappings).verify(dealt.pages, startDeck, plan.packs != null ? plan.packs.piles : null);
+    if(!verification.verified){
+      throw new Error("Recovery instructions failed verification, please report this. " + verification.reason);
+    }
+    sLog0("Recovering from a misdeal in pass " + (report.pass + 1) + ": " + (unchanged ? "no change to the deck" : (fixUp != null ? "move " + fixUp.length + " cards" : "deal again from pass " + (firstPass + 1))));
+
+    return Object.assign({}, plan, {
+      numPasses: dealt.instructions.length,
+      pileCounts: fullPileCounts.slice(firstPass),
+      firstPass: firstPass,
+      instructions: dealt.instructions,
+      decks: dealt.decks,
+      pages: dealt.pages,
+      verification: verification,
+      recovery: {
+        reports: reports.concat([report]),
+        pass: report.pass,
+        unchanged: unchanged,
+        fixUp: fixUp,
+        passesRedealt: unchanged || fixUp != null ? 0 : dealt.instructions.length,
+        deck: startDeck
+      }
+    });
+  }
+
+  //A misdeal in the pass dealing packs just means cards on the wrong pack, so they're moved across - nothing is dealt again. The recovery's
+  //packMoves lists them as {card (in the pass, from 1), from, fromPosition, to, toPosition} (pile labels, and places counted from the top of
+  //the pile, 1 being the top card), last dealt first - doing them in that order, everything above each card is already where it should be.
+  //The plan has no passes left. Packs are never gathered, so a gather order makes no sense here.
+  recoverPacks(plan, report, reports){
+    if(report.gatherOrder != null){
+      throw new RangeError("The packs aren't gathered, so there's no gather order to correct - just the cards that went on the wrong pile.");
+    }
+    const labels = plan.instructions[report.pass].dealOrderedPilesGetter().map((pile) => plan.mat.matMappings[pile]);
+    const cardsAbove = function(card, label){
+      return labels.slice(card).filter(function(other){ return other == label; }).length;
+    };
+    const packMoves = [];
+    for(const mistake of report.mistakes.slice().sort(function(a, b){ return b.card - a.card; })){
+      const to = labels[mistake.card - 1];
+      if(to != mistake.pile){
+        packMoves.push({card: mistake.card, from: mistake.pile, fromPosition: cardsAbove(mistake.card, mistake.pile) + 1, to: to, toPosition: cardsAbove(mistake.card, to) + 1});
+      }
+    }
+    sLog0("Recovering from a misdeal in the packs: move " + packMoves.length + " cards");
+    return Object.assign({}, plan, {
+      numPasses: 0,
+      pileCounts: [],
+      firstPass: plan.fullPileCounts.length,
+      instructions: [],
+      decks: [],
+      pages: [],
+      verification: {verified: true, reason: ""},
+      recovery: {
+        reports: reports.concat([report]),
+        pass: report.pass,
+        unchanged: packMoves.length == 0,
+        fixUp: null,
+        packMoves: packMoves,
+        passesRedealt: 0,
+        deck: plan.decks[report.pass].deckGetter()
+      }
+    });
+  }
+}
+
+
+//For a partial shuffle, the pages to show before dealing (which cards to deal) and after (how to put the deck back together), null for a full shuffle.
+//Fixed cards come out largest position first and go back smallest first, so taking/putting one never moves the position of the next.
+function softPartialShuffleText(plan){
+    if(plan.numCardsDealt == plan.numCards){
+      return null;
+    }
+    let before = "\nOnly " + plan.numCardsDealt + " of the " + plan.numCards + " cards are shuffled.\n\n";
+    let after = "\nNow put the deck back together:\n\n";
+    const fixedList = plan.fixedPositions.join(", ");
+    if(plan.fixedPositions.length > 0){
+      before += "Take out the cards at positions " + plan.fixedPositions.slice().reverse().join(", ") + " (counted from the top, 0 is the top card), in that order, and set them aside.\n\n";
+    }
+    if(plan.shuffleRange.mode == "top"){
+      before += "Take the top " + plan.numCardsDealt + " cards to deal, leave the rest to one side.";
+      after += "Put the dealt cards back on top of the rest of the deck.";
+    } else if(plan.shuffleRange.mode == "bottom"){
+      const numSetAside = plan.numCards - plan.fixedPositions.length - plan.numCardsDealt;
+      before += "Take off the top " + numSetAside + " cards and set them aside, deal the remaining " + plan.numCardsDealt + ".";
+      after += "Put the set aside " + numSetAside + " cards back on top.";
+    } else {
+      before += "Deal the remaining " + plan.numCardsDealt + " cards.";
+      after += "Keep the dealt cards together.";
+    }
+    if(plan.fixedPositions.length > 0){
+      after += "\n\nPut the fixed cards back, in the order " + fixedList + ", so each has that many cards above it.";
+    }
+    return [before, after];
+}
+
+// Exports a whole plan from SoftPlanner.plan() in one go, rather than a page at a time - so a dealer can print a sheet, or load it into another tool.
+// Every format has the same content: the metadata (cards, mat, passes, seed, when it was created...), then for every pass each page of
+// deal instructions (split as on screen, numCardsPerDeal to a page) and the gather instructions. Named decks add the starting and final orders,
+// partial shuffles the notes on what to deal and how to put the deck back together.
+class SoftPlanExporter{
+  plan = null;
+
+  constructor(plan){
+    this.plan = plan;
+  }
+
+  metadata(){
+    const plan = this.plan;
+    return {
+      cards: plan.numCards,
+      cardsDealt: plan.numCardsDealt,
+      deck: plan.deckDefinition != null ? plan.deckDefinition.name : "",
+      sortedInto: plan.sortTarget != null ? plan.sortTarget.name : "",
+      packs: plan.packs != null ? plan.packs.piles.map(function(pile){ return pile.name + ": " + pile.size; }).join(", ") : "",
+      mat: plan.mat.matDefinition.name,
+      matLabels: plan.mat.matMappings.join(" "),
+      passes: plan.numPasses,
+      pilesPerPass: plan.pileCounts.join(" "),
+      gatherDirection: plan.gatherDirection,
+      cardsPerPage: plan.numCardsPerDeal,
+      seed: plan.seed,
+      constraints: plan.constraints != null ? plan.constraints.describe() : "",
+      verified: plan.verification.verified,
+      timestamp: plan.createdAt
+    };
+  }
+
+  //The labels to deal to in each pass, split into pages as they're shown on screen.
+  passPages(pass){
+    const labels = this.plan.instructions[pass].dealOrderedPilesGetter().map((pile) => this.plan.mat.matMappings[pile]);
+    const pages = [];
+    for(let i = 0; i < labels.length; i += this.plan.numCardsPerDeal){
+      pages.push(labels.slice(i, i + this.plan.numCardsPerDeal));
+    }
+    return pages;
+  }
+
+  gatherText(pass){
+    const passPages = this.plan.pages[pass];
+    return passPages[passPages.length - 1].trim();
+  }
+
+  toJSONObject(){
+    const passes = [];
+    for(let pass = 0; pass < this.plan.numPasses; pass++){
+      passes.push({pass: pass + 1, numPiles: this.plan.pileCounts[pass], gatherForward: this.plan.instructions[pass].gatherDealForwardGetter(),
+                   pages: this.passPages(pass), gather: this.gatherText(pass)});
+    }
+    const partialText = softPartialShuffleText(this.plan);
+    return {
+      metadata: this.metadata(),
+      beforeDealing: partialText != null ? partialText[0].trim() : "",
+      startingOrder: this.plan.deckDefinition != null ? this.plan.deckDefinition.topFirstCardNames.slice() : null,
+      passes: passes,
+      afterDealing: partialText != null ? partialText[1].trim() : "",
+      finalOrder: this.plan.finalOrder
+    };
+  }
+
+  toJSON(){
+    return JSON.stringify(this.toJSONObject(), null, 2);
+  }
+
+  toText(){
+    const exported = this.toJSONObject();
+    let text = "Soft Shuffle deal sheet\n\n";
+    for(const key in exported.metadata){
+      text += key + ": " + exported.metadata[key] + "\n";
+    }
+    if(exported.beforeDealing !== ""){
+      text += "\n" + exported.beforeDealing + "\n";
+    }
+    if(exported.startingOrder != null){
+      text += "\nStarting order, top card first:\n" + exported.startingOrder.map(function(name, i){ return (i + 1) + ". " + name; }).join("\n") + "\n";
+    }
+    for(const pass of exported.passes){
+      text += "\n=== Pass " + pass.pass + " of " + exported.passes.length + " (" + pass.numPiles + " piles) ===\n";
+      pass.pages.forEach(function(page, i){
+        text += "\nPage " + (i + 1) + ":\n";
+        for(let j = 0; j < page.length; j += 5){
+          text += page.slice(j, j + 5).join("  ") + "\n";
+        }
+      });
+      text += "\n" + pass.gather + "\n";
+    }
+    if(exported.afterDealing !== ""){
+      text += "\n" + exported.afterDealing + "\n";
+    }
+    if(exported.finalOrder != null){
+      text += "\nFinal order, top card first:\n" + exported.finalOrder.map(function(name, i){ return (i + 1) + ". " + name; }).join("\n") + "\n";
+    }
+    return text;
+  }
+
+  csvField(value){
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+  }
+
+  //One row per card dealt: type,pass,page,card,label,text - "meta" rows carry the metadata (label is the key, text the value),
+  //"deal" rows the pile (label) for card number `card` of the pass, "gather" rows the gather instructions, "note" rows everything else.
+  toCSV(){
+    const exported = this.toJSONObject();
+    const rows = [["type", "pass", "page", "card", "label", "text"]];
+    for(const key in exported.metadata){
+      rows.push(["meta", "", "", "", key, exported.metadata[key]]);
+    }
+    if(exported.beforeDealing !== ""){
+      rows.push(["note", "", "", "", "before", exported.beforeDealing]);
+    }
+    for(const pass of exported.passes){
+      let card = 1;
+      pass.pages.forEach(function(page, i){
+        for(const label of page){
+          rows.push(["deal", pass.pass, i + 1, card++, label, ""]);
+        }
+      });
+      rows.push(["gather", pass.pass, "", "", "", pass.gather]);
+    }
+    if(exported.afterDealing !== ""){
+      rows.push(["note", "", "", "", "after", exported.afterDealing]);
+    }
+    for(const [name, order] of [["starting", exported.startingOrder], ["final", exported.finalOrder]]){
+      (order || []).forEach(function(cardName, i){
+        rows.push(["order", "", "", i + 1, name, cardName]);
+      });
+    }
+    return rows.map((row) => row.map((value) => this.csvField(value)).join(",")).join("\r\n") + "\r\n";
+  }
+
+  //A print-styled page - the metadata, then each pass starting on a new sheet, each page of instructions as a numbered block.
+  toPrintHTML(){
+    const exported = this.toJSONObject();
+    let html = "<!DOCTYPE html>\n<html>\n<head>\n<meta charset=\"utf-8\">\n<title>Soft Shuffle deal sheet</title>\n<style>\n"
+      + "body { font-family: sans-serif; margin: 15mm; }\n"
+      + "table.meta td { padding: 1mm 4mm 1mm 0; }\n"
+      + ".pass { page-break-before: always; }\n"
+      + ".page { display: inline-block; vertical-align: top; border: 1px solid black; margin: 0 3mm 3mm 0; padding: 2mm; page-break-inside: avoid; }\n"
+      + ".page h3 { margin: 0 0 1mm 0; font-size: 10pt; }\n"
+      + ".page td { font-size: 14pt; font-weight: bold; padding: 0 2mm; }\n"
+      + ".gather, .note { white-space: pre-wrap; }\n"
+      + "</style>\n</head>\n<body>\n<h1>Soft Shuffle deal sheet</h1>\n<table class=\"meta\">\n";
+    for(const key in exported.metadata){
+      html += "<tr><td>" + softEscapeXML(key) + "</td><td>" + softEscapeXML(exported.metadata[key]) + "</td></tr>\n";
+    }
+    html += "</table>\n";
+    if(exported.beforeDealing !== ""){
+      html += "<p class=\"note\">" + softEscapeXML(exported.beforeDealing) + "</p>\n";
+    }
+    if(exported.startingOrder != null){
+      html += "<h2>Starting order, top card first</h2>\n<ol>" + exported.startingOrder.map(function(name){ return "<li>" + softEscapeXML(name) + "</li>"; }).join("") + "</ol>\n";
+    }
+    for(const pass of exported.passes){
+      html += "<div class=\"pass\">\n<h2>Pass " + pass.pass + " of " + exported.passes.length + " (" + pass.numPiles + " piles)</h2>\n";
+      pass.pages.forEach(function(page, i){
+        html += "<div class=\"page\"><h3>Page " + (i + 1) + "</h3><table>";
+        for(let j = 0; j < page.length; j += 5){
+          html += "<tr>" + page.slice(j, j + 5).map(function(label){ return "<td>" + softEscapeXML(label) + "</td>"; }).join("") + "</tr>";
+        }
+        html += "</table></div>\n";
+      });
+      html += "<p class=\"gather\">" + softEscapeXML(pass.gather) + "</p>\n</div>\n";
+    }
+    if(exported.afterDealing !== ""){
+      html += "<p class=\"note\">" + softEscapeXML(exported.afterDealing) + "</p>\n";
+    }
+    if(exported.finalOrder != null){
+      html += "<h2>Final order, top card first</h2>\n<ol>" + exported.finalOrder.map(function(name){ return "<li>" + softEscapeXML(name) + "</li>"; }).join("") + "</ol>\n";
+    }
+    return html + "</body>\n</html>\n";
+  }
+
+  //format is "text", "csv", "json" or "html".
+  export(format){
+    if(format == "text"){
+      return this.toText();
+    }
+    if(format == "csv"){
+      return this.toCSV();
+    }
+    if(format == "json"){
+      return this.toJSON();
+    }
+    if(format == "html"){
+      return this.toPrintHTML();
+    }
+    throw new RangeError("Unknown export format '" + format + "' (expected text, csv, json or html).");
+  }
+}
+
+
+// Steps through a plan one card at a time, for the mat view (SoftMatView) and the single-card step mode.
+// Each pass is every card of SoftInstructions.dealOrderedPilesGetter() in turn, then one gather step, then on to the next pass.
+// card is the next card to deal (0 for the first), and equals the number of cards dealt at the gather step; pass == numPasses once it's all done.
+class SoftDealCursor{
+  plan = null;
+  pass = 0;
+  card = 0;
+
+  constructor(plan){
+    this.plan = plan;
+  }
+
+  numCardsGetter(){
+    return this.plan.numCardsDealt;
+  }
+
+  isDone(){
+    return this.pass >= this.plan.numPasses;
+  }
+
+  isGathering(){
+    return !this.isDone() && this.card == this.numCardsGetter();
+  }
+
+  //Moves on one step, false if already done.
+  next(){
+    if(this.isDone()){
+      return false;
+    }
+    if(this.isGathering()){
+      this.pass++;
+      this.card = 0;
+    } else {
+      this.card++;
+    }
+    return true;
+  }
+
+  //Undoes the last step, false if at the very start.
+  previous(){
+    if(this.pass == 0 && this.card == 0){
+      return false;
+    }
+    if(this.card == 0){
+      this.pass--;
+      this.card = this.numCardsGetter();
+    } else {
+      this.card--;
+    }
+    return true;
+  }
+
+  reset(){
+    this.pass = 0;
+    this.card = 0;
+  }
+
+  //Everything about this step: the pass and card, how many piles the pass uses, the pile (and its label) the card goes to, and whether it's gathering or done.
+  current(){
+    if(this.isDone()){
+      return {pass: this.pass, card: this.card, numCards: this.numCardsGetter(), numPiles: 0, pile: -1, label: "", gathering: false, done: true};
+    }
+    const instructions = this.plan.instructions[this.pass];
+    const gathering = this.isGathering();
+    const pile = gathering ? -1 : instructions.dealOrderedPilesGetter()[this.card];
+    return {pass: this.pass, card: this.card, numCards: this.numCardsGetter(), numPiles: instructions.numPilesGetter(), pile: pile,
+            label: gathering ? "" : this.plan.mat.matMappings[pile], gathering: gathering, done: false};
+  }
+
+  //How many cards each space has had so far this pass.
+  pileCounts(){
+    const counts = Array(this.plan.mat.matMappings.length).fill(0);
+    if(!this.isDone()){
+      const piles = this.plan.instructions[this.pass].dealOrderedPilesGetter();
+      for(let i = 0; i < this.card; i++){
+        counts[piles[i]]++;
+      }
+    }
+    return counts;
+  }
+
+  //The spaces in the order this pass gathers them (see SoftInstructions.applyInstrToDeck()).
+  gatherOrder(){
+    const instructions = this.plan.instructions[this.pass];
+    const order = [];
+    for(let i = 0; i < instructions.numPilesGetter(); i++){
+      order.push(instructions.gatherDealForwardGetter() ? i : instructions.numPilesGetter() - 1 - i);
+    }
+    return order;
+  }
+
+  passProgress(){
+    return this.isDone() ? 1 : this.card / this.numCardsGetter();
+  }
+
+  //True during the pass that deals packs (see SoftPlanner.packLayout()), which leaves them on the mat rather than gathering.
+  dealsPacks(){
+    return this.plan.packs != null && this.pass == this.plan.numPasses - 1;
+  }
+
+  //eg "Pass 2 of 3, card 37/100", "Pass 2 of 3, gather the piles" (or "the piles are the packs") or "Done".
+  positionText(){
+    if(this.isDone()){
+      return "Done";
+    }
+    const passText = "Pass " + (this.pass + 1) + " of " + this.plan.numPasses;
+    if(this.isGathering()){
+      return passText + (this.dealsPacks() ? ", the piles are the packs" : ", gather the piles");
+    }
+    return passText + ", card " + (this.card + 1) + "/" + this.numCardsGetter();
+  }
+}
+
+
+// Spoken guidance, so the dealer can keep their eyes on the mat. Speaks each step of a SoftDealCursor - the pile label for each card
+// (through a phonetic alphabet if wanted, "A1" as "Alpha 1"), the gather instructions at the end of each pass, then that it's done.
+// Uses the Web Speech API (speechSynthesis) when there are voices - offline there may be none, in which case say() hands the text to
+// fallbackOutput instead (the page beeps and relies on the on-screen label).
+const softPhoneticAlphabets = {
+  nato: ["Alpha", "Bravo", "Charlie", "Delta", "Echo", "Foxtrot", "Golf", "Hotel", "India", "Juliet", "Kilo", "Lima", "Mike",
+         "November", "Oscar", "Papa", "Quebec", "Romeo", "Sierra", "Tango", "Uniform", "Victor", "Whiskey", "X-ray", "Yankee", "Zulu"]
+};
+const softSymbolNames = {"♠": "spade", "♥": "heart", "♦": "diamond", "♣": "club", "★": "star", "●": "circle", "▲": "triangle", "■": "square",
+                         "◆": "black diamond", "✚": "cross", "☾": "moon", "☀": "sun"};
+
+class SoftVoiceGuide{
+  synth = null;
+  utteranceClass = null;
+  //"nato", "plain" (letters read as letters) or "custom" (customPhonetics).
+  phonetics = "nato";
+  customPhonetics = {};
+  rate = 1;
+  //Seconds between cards when stepping automatically, 0 to only step on a key press / tap.
+  tempoSeconds = 0;
+  fallbackOutput = function(){};
+
+  constructor(synth, utteranceClass){
+    this.synth = synth || null;
+    this.utteranceClass = utteranceClass || null;
+  }
+
+  available(){
+    return this.synth != null && this.utteranceClass != null && this.synth.getVoices().length > 0;
+  }
+
+  //Custom phonetics as text, "A=Apple, B=Banana" (or one per line).
+  setCustomPhonetics(text){
+    this.customPhonetics = {};
+    for(const entry of text.split(/[,\n]/)){
+      const parts = entry.split("=");
+      if(parts.length == 2 && parts[0].trim() !== ""){
+        this.customPhonetics[parts[0].trim().toUpperCase()] = parts[1].trim();
+      }
+    }
+  }
+
+  //How to say a mat label - letters through the chosen alphabet, numbers left for the voice to read, symbols by name.
+  spokenLabel(label){
+    const words = [];
+    for(const part of String(label).match(/[A-Za-z]|[0-9]+|[^A-Za-z0-9]+/g) || []){
+      const letter = part.toUpperCase();
+      if(/^[A-Z]$/.test(letter) && this.phonetics == "nato"){
+        words.push(softPhoneticAlphabets.nato[letter.charCodeAt() - 'A'.charCodeAt()]);
+      } else if(/^[A-Z]$/.test(letter) && this.phonetics == "custom" && this.customPhonetics[letter] !== undefined){
+        words.push(this.customPhonetics[letter]);
+      } else if(softSymbolNames[part] !== undefined){
+        words.push(softSymbolNames[part]);
+      } else {
+        words.push(part);
+      }
+    }
+    return words.join(" ");
+  }
+
+  //What to say for the cursor's current step.
+  phrase(cursor){
+    const state = cursor.current();
+    if(state.done){
+      return cursor.plan.packs != null ? "Done. The packs are dealt." : "Done. The deck is randomised.";
+    }
+    if(state.gathering && cursor.dealsPacks()){
+      return "Pass " + (state.pass + 1) + " dealt. Don't gather, each pile is a pack.";
+    }
+    if(state.gathering){
+      const order = cursor.gatherOrder().map((pile) => this.spokenLabel(cursor.plan.mat.matMappings[pile]));
+      if(order.length == 1){
+        return "Pass " + (state.pass + 1) + " dealt. Pick up pile " + order[0] + ".";
+      }
+      return "Pass " + (state.pass + 1) + " dealt. Gather the piles: " + order[0] + " on " + order[1]
+        + (order.length > 2 ? ", then on " + order.slice(2).join(", then ") : "") + ".";
+    }
+    const spoken = this.spokenLabel(state.label);
+    return state.card == 0 ? "Pass " + (state.pass + 1) + ". " + spoken : spoken;
+  }
+
+  //Speaks the text, cutting off anything still being said (so stepping quickly never queues up a backlog).
+  say(text){
+    if(!this.available()){
+      this.fallbackOutput(text);
+      return;
+    }
+    this.synth.cancel();
+    const utterance = new this.utteranceClass(text);
+    utterance.rate = this.rate;
+    this.synth.speak(utterance);
+  }
+
+  stop(){
+    if(this.synth != null){
+      this.synth.cancel();
+    }
+  }
+}
+
+
+// Keeps the current shuffle (and a history of recent ones) in localStorage, so a refresh or a phone locking mid-deal doesn't lose it.
+// A saved shuffle is a plain JSON record of the settings and the permutation itself - resuming rebuilds the plan from that permutation
+// (SoftPlanner.plan() with settings.dealtPermutation), so the shuffle is never regenerated. The position (page, card, step mode) is kept
+// under its own key, as it's written on every step and the record can be large.
+// storage is anything with getItem/setItem/removeItem (window.localStorage in the page). If it's unavailable or full, nothing is saved.
+class SoftSessionStore{
+  storage = null;
+  sessionKey = "softShuffleSession";
+  positionKey = "softShuffleSessionPosition";
+  historyKey = "softShuffleHistory";
+  maxHistory = 10;
+
+  constructor(storage, maxHistory){
+    this.storage = storage || null;
+    if(maxHistory !== undefined){
+      this.maxHistory = maxHistory;
+    }
+  }
+
+  read(key){
+    if(this.storage == null){
+      return null;
+    }
+    try {
+      const text = this.storage.getItem(key);
+      return text == null ? null : JSON.parse(text);
+    } catch(e) {
+      sLog0("Couldn't read " + key + ": " + e.message);
+      return null;
+    }
+  }
+
+  write(key, value){
+    if(this.storage == null){
+      return false;
+    }
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch(e) {
+      sLog0("Couldn't save " + key + ": " + e.message);
+      return false;
+    }
+  }
+
+  //The record of a plan - everything needed to rebuild it. constraintsText is the constraints as typed (see softConstraintsFromText()),
+  //commitment the plan's SoftCommitment, if it has one.
+  record(plan, constraintsText = "", commitment = null){
+    return {
+      version: 1,
+      createdAt: plan.createdAt,
+      numCards: plan.numCards,
+      numRows: plan.numRows,
+      numColumns: plan.numColumns,
+      numInstrRows: plan.numInstrRows,
+      seed: plan.seed,
+      deck: plan.deckDefinition != null ? {name: plan.deckDefinition.name, topFirstCardNames: plan.deckDefinition.topFirstCardNames} : null,
+      constraints: constraintsText,
+      constraintAttempts: plan.constraintAttempts,
+      shuffleRange: plan.shuffleRange,
+      fixedPositions: plan.fixedPositions,
+      pileStrategy: plan.pileStrategy,
+      gatherDirection: plan.gatherDirection,
+      mat: plan.mat.matDefinition.toJSONObject(),
+      //The passes actually dealt - a sort can start part way through fullPileCounts (see SoftPlanner.fewestPasses()).
+      numPasses: plan.numPasses,
+      dealtPermutation: plan.dealtPermutation,
+      sortTarget: plan.sortTarget != null ? {name: plan.sortTarget.name, topFirstCardNames: plan.sortTarget.topFirstCardNames} : null,
+      packs: plan.packs != null ? {noun: plan.packs.noun, sizes: plan.packs.sizes, shuffled: plan.packs.shuffled} : null,
+      //The nonce has to be kept until the shuffle is revealed, the commitment itself can be worked out again from it.
+      commitment: commitment != null ? {nonce: commitment.nonce, dealer: commitment.dealer} : null,
+      //Replayed on resume, see SoftPlanner.recover().
+      recoveries: plan.recovery != null ? plan.recovery.reports : []
+    };
+  }
+
+  //The SoftPlanner.plan() settings that rebuild a recorded plan.
+  planSettings(record){
+    return {
+      numCards: record.numCards,
+      numRows: record.numRows,
+      numColumns: record.numColumns,
+      numInstrRows: record.numInstrRows,
+      seed: record.seed,
+      deckDefinition: record.deck != null ? new SoftDeckDefinition(record.deck.name, record.deck.topFirstCardNames) : null,
+      constraints: softConstraintsFromText(record.constraints || "", record.numCards),
+      shuffleRange: record.shuffleRange,
+      fixedPositions: record.fixedPositions,
+      pileStrategy: record.pileStrategy,
+      gatherDirection: record.gatherDirection,
+      matDefinition: softMatDefinitionFromObject(record.mat),
+      dealtPermutation: record.dealtPermutation,
+      sortTarget: record.sortTarget != null ? new SoftDeckDefinition(record.sortTarget.name, record.sortTarget.topFirstCardNames) : null,
+      packs: record.packs || null,
+      constraintAttempts: record.constraintAttempts,
+      createdAt: record.createdAt
+    };
+  }
+
+  //One line to pick a shuffle out of the history by.
+  describe(record){
+    return record.createdAt.replace("T", " ").substring(0, 16) + " - " + (record.deck != null ? record.deck.name : record.numCards + " cards")
+      + (record.sortTarget != null ? " sorted into " + record.sortTarget.name : "")
+      + (record.packs != null ? " dealt into " + record.packs.sizes.length + " " + record.packs.noun.toLowerCase() + "s" : "")
+      + ", " + record.mat.name + ", " + record.numPasses + (record.numPasses == 1 ? " pass" : " passes") + (record.seed !== "" ? ", seed " + record.seed : "");
+  }
+
+  //Save a new shuffle as the current one (from the start), and add it to the top of the history.
+  save(record){
+    this.write(this.sessionKey, record);
+    this.savePosition({page: 0, pass: 0, card: 0, stepMode: false});
+    const history = this.history().filter(function(entry){ return entry.createdAt != record.createdAt; });
+    history.unshift(record);
+    //If the history won't fit, drop the oldest until it does.
+    for(let keep = Math.min(history.length, this.maxHistory); keep > 0; keep--){
+      if(this.write(this.historyKey, history.slice(0, keep))){
+        break;
+      }
+    }
+  }
+
+  savePosition(position){
+    this.write(this.positionKey, position);
+  }
+
+  //{record, position} for the shuffle in progress, null if there isn't one.
+  load(){
+    const record = this.read(this.sessionKey);
+    if(record == null){
+      return null;
+    }
+    return {record: record, position: this.read(this.positionKey) || {page: 0, pass: 0, card: 0, stepMode: false}};
+  }
+
+  clear(){
+    if(this.storage != null){
+      this.storage.removeItem(this.sessionKey);
+      this.storage.removeItem(this.positionKey);
+    }
+  }
+
+  //Recent shuffles, newest first.
+  history(){
+    return this.read(this.historyKey) || [];
+  }
+}
+
+
+// Commits to a shuffle before it's dealt, so a remote opponent can check afterwards that the order wasn't chosen (or changed) to suit the dealer.
+// The commitment is the SHA-256 (hex) of the text nonce + ":" + the permutation joined with commas, eg "5f3a...e1:2,0,3,1" (permutation[i]
+// being where the card starting at position i ends up, 0 the bottom card, as in the plan). The nonce is 32 random bytes (hex) from crypto,
+// even for a seeded shuffle, so nobody can find the order by hashing guesses at it.
+// Before dealing, the dealer shares the receipt - the settings and passes with the commitment and the dealer's name (as typed, nothing proves
+// who made it). receiptHash, the SHA-256 of the receipt's JSON without it, only catches a receipt damaged by accident - anyone editing it can
+// work the hash out again, so it's the copy kept from before dealing that shows it wasn't changed. For a named deck the receipt also holds
+// deckOrderHash, the SHA-256 of its starting order (see deckOrderHash()), so the card names can't be swapped afterwards either. After the game
+// they share the reveal - the receipt with the nonce and permutation, and the starting order, seed and final order if there were any. verify()
+// checks a reveal, as soft_shuffle_verifier.html does offline, or anyone can hash it themselves: printf '%s' "<nonce>:<permutation>" | sha256sum
+// The seed is only passed on - nothing checks that it really gives the permutation.
+class SoftCommitment{
+  plan = null;
+  dealer = "";
+  nonce = "";
+  //The hex digest, null until commit() has finished.
+  commitment = null;
+
+  //nonce is only given to rebuild a saved commitment (see SoftSessionStore.record()), otherwise it's a new one.
+  constructor(plan, dealer = "", nonce = null){
+    this.plan = plan;
+    this.dealer = dealer;
+    if(nonce == null){
+      const bytes = new Uint8Array(32);
+      softCrypto().getRandomValues(bytes);
+      nonce = softHex(bytes);
+    }
+    this.nonce = nonce;
+  }
+
+  //The text that's hashed.
+  static message(nonce, permutation){
+    return nonce + ":" + permutation.join(",");
+  }
+
+  //The receipt's checksum - the SHA-256 of its JSON without the checksum itself. Fields keep their order through JSON.parse(), so a shared receipt hashes the same.
+  static receiptHash(receipt){
+    const fields = Object.assign({}, receipt);
+    delete fields.receiptHash;
+    return softHex(softSha256(new TextEncoder().encode(JSON.stringify(fields))));
+  }
+
+  //The starting order's hash - the SHA-256 of its card names (top first) as a JSON array.
+  static deckOrderHash(topFirstCardNames){
+    return softHex(softSha256(new TextEncoder().encode(JSON.stringify(topFirstCardNames))));
+  }
+
+  //Work out the commitment. Returns a Promise of it, and keeps it in this.commitment.
+  commit(){
+    return softSha256Hex(SoftCommitment.message(this.nonce, this.plan.permutation)).then((commitment) => {
+      this.commitment = commitment;
+      return commitment;
+    });
+  }
+
+  //The receipt to share before dealing (once commit() has finished) - nothing in it gives the order away.
+  //The passes are the ones worked out for the shuffle, so a misdeal (which keeps the same order) doesn't change it.
+  receipt(){
+    const plan = this.plan;
+    const receipt = {
+      receipt: "Soft Shuffle receipt",
+      version: 1,
+      commitment: this.commitment,
+      createdAt: plan.createdAt,
+      cards: plan.numCards,
+      cardsShuffled: plan.numCardsDealt,
+      deck: plan.deckDefinition != null ? plan.deckDefinition.name : "",
+      deckOrderHash: plan.deckDefinition != null ? SoftCommitment.deckOrderHash(plan.deckDefinition.topFirstCardNames) : "",
+      shuffled: plan.shuffleRange.mode == "all" ? "all" : plan.shuffleRange.mode + " " + plan.shuffleRange.count,
+      fixedPositions: plan.fixedPositions.join(", "),
+      constraints: plan.constraints != null ? plan.constraints.describe() : "",
+      packs: plan.packs != null ? plan.packs.piles.map(function(pile){ return pile.name + ": " + pile.size; }).join(", ") : "",
+      mat: plan.mat.matDefinition.name,
+      passes: plan.fullPileCounts.length,
+      pilesPerPass: plan.fullPileCounts.join(" "),
+      gatherDirection: plan.gatherDirection,
+      seeded: plan.seed !== "",
+      dealer: this.dealer
+    };
+    receipt.receiptHash = SoftCommitment.receiptHash(receipt);
+    return receipt;
+  }
+
+  //Everything needed to check the commitment, to share once the game's over.
+  reveal(){
+    const deckDefinition = this.plan.deckDefinition;
+    return {receipt: this.receipt(), nonce: this.nonce, permutation: this.plan.permutation.slice(), seed: this.plan.seed,
+            startingOrder: deckDefinition != null ? deckDefinition.topFirstCardNames.slice() : null,
+            finalOrder: this.plan.finalOrder != null ? this.plan.finalOrder.slice() : null};
+  }
+
+  //Check a reveal (as JSON text or parsed) - that its receipt's checksum is right, its permutation is one of the receipt's cards and hashes to the
+  //commitment, and that the commitment (or whole receipt, as JSON) shared before dealing is the same one. shared can be "" to skip that last check,
+  //but without it the reveal only shows it's consistent with itself.
+  //Returns a Promise of {verified, reason, finalOrder} - reason explains the first problem found, finalOrder is the card names (top first) worked
+  //out from the committed starting order, null without a named deck.
+  static verify(reveal, shared = ""){
+    const failed = function(reason){
+      sLog0("Commitment not verified: " + reason);
+      return Promise.resolve({verified: false, reason: reason});
+    };
+    try {
+      if(typeof reveal == "string"){
+        reveal = JSON.parse(reveal);
+      }
+    } catch(e) {
+      return failed("The reveal isn't valid JSON: " + e.message);
+    }
+    const receipt = reveal != null ? reveal.receipt : undefined;
+    if(receipt == null || typeof receipt != "object" || typeof reveal.nonce != "string" || !Array.isArray(reveal.permutation)){
+      return failed("That isn't a reveal - it needs a receipt, a nonce and a permutation.");
+    }
+    if(receipt.receiptHash !== SoftCommitment.receiptHash(receipt)){
+      return failed("The receipt doesn't match its receiptHash - it's been damaged or edited.");
+    }
+    const numCards = receipt.cards;
+    const seen = new Set(reveal.permutation);
+    if(reveal.permutation.length != numCards || seen.size != numCards || !reveal.permutation.every(function(position){ return Number.isInteger(position) && position >= 0 && position < numCards; })){
+      return failed("The permutation isn't an order of the receipt's " + numCards + " cards.");
+    }
+    //The card names are only trusted as far as the receipt's deckOrderHash - the final order is worked out again from them, not taken from the reveal.
+    let finalOrder = null;
+    if(receipt.deckOrderHash){
+      if(!Array.isArray(reveal.startingOrder) || SoftCommitment.deckOrderHash(reveal.startingOrder) !== receipt.deckOrderHash){
+        return failed("The starting order in the reveal isn't the one in the receipt.");
+      }
+      finalOrder = new SoftDeckDefinition(receipt.deck, reveal.startingOrder).finalOrder(reveal.permutation);
+      if(reveal.finalOrder != null && JSON.stringify(reveal.finalOrder) !== JSON.stringify(finalOrder)){
+        return failed("The final order in the reveal isn't the one the permutation gives.");
+      }
+    } else if(reveal.finalOrder != null){
+      return failed("The reveal names the cards, but the receipt didn't commit to a deck.");
+    }
+    shared = shared.trim();
+    if(shared !== ""){
+      if(shared.startsWith("{")){
+        let sharedReceipt;
+        try {
+          sharedReceipt = JSON.parse(shared);
+        } catch(e) {
+          return failed("The receipt shared before dealing isn't valid JSON: " + e.message);
+        }
+        if(sharedReceipt == null || typeof sharedReceipt != "object" || SoftCommitment.receiptHash(sharedReceipt) !== receipt.receiptHash){
+          return failed("The receipt in the reveal isn't the one shared before dealing.");
+        }
+      } else if(shared.toLowerCase() !== receipt.commitment){
+        return failed("The commitment in the reveal isn't the one shared before dealing.");
+      }
+    }
+    return softSha256Hex(SoftCommitment.message(reveal.nonce, reveal.permutation)).then(function(commitment){
+      if(commitment !== receipt.commitment){
+        return failed("The nonce and permutation don't match the commitment - the order isn't the one committed to.");
+      }
+      return {verified: true, reason: "", finalOrder: finalOrder};
+    });
+  }
+}
+
+
+class SoftShuffle{
+    //class fields
+    numPasses = -1;
+    numInstrRows = -1;
+    numInstrPerRow = 5;
+    //This should be more than needed
+    maxPasses = 10;
+
+    //Limits from page
+    numCardsMin = -1;
+    numCardsMax = -1;
+    numRowsMin = -1;
+    numRowsMax = -1;
+    numColumnsMin = -1;
+    numColumnsMax = -1;
+    numInstrRowsMin = -1;
+    numInstrRowsMax = -1;
+
+    //We should always be using these, but if there are compatibility issues we can disable.
+    useRejectionSampling = true;
+    useCryptoRNG = true;
+    
+    planner = null;
+    currentPlan = null;
+    deckDefinition = null;
+    //The packs or hands to deal into ({noun, sizes}, see softPacksFromText()), null to gather the deck as one.
+    packs = null;
+    //When sorting, the deck's current order (deckDefinition is then the order to sort into), null when randomising.
+    sortOrder = null;
+
+    deckMatComboMessage = "";
+    //The problems with the settings from the last check, see validateInputs().
+    inputErrors = [];
+    mainInstructionOutput = [];
+    mainInstructionOutputPos = 0;
+    //Card by card position in the current plan, for the mat view and step mode (see SoftDealCursor).
+    dealCursor = null;
+    //In step mode Prev/Next/Beginning move a card at a time (Prev undoing the last step) rather than a page.
+    stepMode = false;
+    //Keys that step forwards / back in step mode. USB foot pedals and presentation clickers mostly send one of these, setStepKey() adds another.
+    defaultNextStepKeys = [" ", "ArrowRight", "ArrowDown", "PageDown", "Enter"];
+    defaultPreviousStepKeys = ["ArrowLeft", "ArrowUp", "PageUp", "Backspace"];
+    nextStepKeys = this.defaultNextStepKeys.slice();
+    previousStepKeys = this.defaultPreviousStepKeys.slice();
+    //The extra key from setStepKey(), null for none.
+    stepKey = null;
+    //Spoken guidance (see SoftVoiceGuide), null when off. Uses step mode, and steps itself every tempoSeconds if that's set.
+    voiceGuide = null;
+    voiceTimer = null;
+    //Optional - a SoftSessionStore to save the shuffle in progress to, so it can be resumed after a refresh.
+    sessionStore = null;
+    //A batch of decks dealt one after another (see batchButtonClick()), null when dealing a single deck.
+    //{decks: [{name, id, plan, done}], current (the index of the deck being dealt), seed, createdAt}.
+    batch = null;
+    //The commitment to the randomised deck being dealt (see SoftCommitment), null for a sort or a batch.
+    commitment = null;
+    
+    boxOutput = function(){};
+    //Optional - shows the mat view, given the SVG of the mat (see SoftMatView) and the position text, both "" when there's no plan.
+    matViewOutput = function(){};
+    
+    numCardsGetter = function(){};
+    numColumnsGetter = function(){};
+    numRowsGetter = function(){};
+    numInstrRowsGetter = function(){};
+    //Optional - the page can point this at a seed input. A blank seed means a fresh crypto randomisation.
+    seedGetter = function(){ return ""; };
+    //Optional - returns a SoftDeckDefinition when the user has picked a named deck (its size overrides the number of cards), null for plain positions.
+    deckDefinitionGetter = function(){ return null; };
+    //Optional - returns a SoftDeckDefinition of the deck's current order to sort it (into deckDefinitionGetter()'s order) rather than randomise it, null to randomise.
+    sortOrderGetter = function(){ return null; };
+    //Optional - returns constraints on the final order as text (see SoftConstraints), "" for none.
+    constraintsGetter = function(){ return ""; };
+    //Optional - for a partial shuffle, {mode: "all" | "top" | "bottom", count} and the fixed positions as text ("0, 59"), see SoftPlanner.dealtPositions().
+    shuffleRangeGetter = function(){ return {mode: "all", count: 0}; };
+    fixedPositionsGetter = function(){ return ""; };
+    //Optional - how to choose the number of piles for each pass, "balanced", "effort" or "uniform" (see SoftPlanner.findPileCounts()).
+    pileStrategyGetter = function(){ return "balanced"; };
+    //Optional - which way to gather the piles, "alternate", "forward" or "backward" (see SoftPlanner.gatherForwards()).
+    gatherDirectionGetter = function(){ return "alternate"; };
+    //Optional - returns a SoftMatDefinition for a named or custom mat (its spaces replace Columns * Rows), null for a plain grid.
+    matDefinitionGetter = function(){ return null; };
+    //Optional - shows the validateInputs() problems next to the inputs they're about (called with [] once they're all fine).
+    inputErrorsOutput = function(errors){};
+    //Optional - the packs or hands to deal the randomised deck into as text, eg "8 packs of 15" (see softPacksFromText()), "" to gather it as one deck.
+    packsGetter = function(){ return ""; };
+    //Optional - true to put the cards within each pack (and any left over) in a random order too, which takes more passes (see SoftPlanner.packPileCounts()).
+    shufflePacksGetter = function(){ return false; };
+    //Optional - the decks for a batch as text, one per line (see softBatchFromText()).
+    batchGetter = function(){ return ""; };
+    //Optional - the dealer's name to put on receipts (see SoftCommitment), a label rather than a signature.
+    dealerGetter = function(){ return ""; };
+    //Optional - shows the receipt to share before dealing, or the reveal to share after, as JSON ("" when there's no commitment).
+    commitmentOutput = function(text){};
+    //Optional - a misdeal as the user reported it, {pass (1-based), cards, gatherOrder} as typed (see softMisdealFromText()).
+    misdealGetter = function(){ return {pass: 1, cards: "", gatherOrder: ""}; };
+    //Estimates the effort of the current settings and recommends a mat size, see SoftCostModel.
+    costModel = new SoftCostModel();
+    //The last recommendedMat() and what it was for, {key, best}.
+    recommendation = null;
+
+    constructor(iBoxOutput, iNumCardsGetter, numCardsMin, numCardsMax, 
+                            iNumColumnsGetter, numColumnsMin, numColumnsMax, 
+                            iNumRowsGetter, numRowsMin, numRowsMax, 
+                            iNumInstrRowsGetter, numInstrRowsMin, numInstrRowsMax){
+        //Set function pointers to the version included for this platform.
+        this.boxOutput = iBoxOutput;
+        this.numCardsGetter = iNumCardsGetter;
+        this.numColumnsGetter = iNumColumnsGetter;
+        this.numRowsGetter = iNumRowsGetter;
+        this.numInstrRowsGetter = iNumInstrRowsGetter;
 
         //get min/maxs from page.
         this.numCardsMin = numCardsMin;
@@ -581,6 +3556,8 @@ class SoftShuffle{
         this.numInstrRowsMin = numInstrRowsMin;
         this.numInstrRowsMax = numInstrRowsMax;
 
+        this.planner = new SoftPlanner(this.maxPasses, this.numInstrPerRow);
+
         //get variable defaults from page.
         this.getParseInputs();
 
@@ -606,60 +3583,221 @@ class SoftShuffle{
     }
     previousButtonClick(){
         sLog0("Clicked Prev button");
+        if(this.stepMode && this.dealCursor != null){
+            this.previousCardClick();
+            return;
+        }
         //Check a randomisation has happened succesfully
         if(this.mainInstructionOutput.length > 1){
             if(this.mainInstructionOutputPos - 1 >= 0){
                 this.mainInstructionOutputPos--;
-                this.boxOutput(this.mainInstructionOutputPos + ".", this.mainInstructionOutput[this.mainInstructionOutputPos]);
+                this.boxOutput(this.instructionPageLabel(), this.mainInstructionOutput[this.mainInstructionOutputPos]);
+                this.savePosition();
             }
         }    
     }
     nextButtonClick(){
         sLog0("Clicked Next button");
+        if(this.stepMode && this.dealCursor != null){
+            this.nextCardClick();
+            return;
+        }
         //Check a randomisation has happened succesfully
         if(this.mainInstructionOutput.length > 1){
             if(this.mainInstructionOutputPos + 1 < this.mainInstructionOutput.length){
                 this.mainInstructionOutputPos++;
-                this.boxOutput(this.mainInstructionOutputPos + ".", this.mainInstructionOutput[this.mainInstructionOutputPos]);
+                this.boxOutput(this.instructionPageLabel(), this.mainInstructionOutput[this.mainInstructionOutputPos]);
+                this.savePosition();
             }
         }    
     }
     beginningButtonClick(){
         sLog0("Clicked Beginning button");
+        if(this.stepMode && this.dealCursor != null){
+            this.dealCursor.reset();
+            this.showDealCursor();
+            return;
+        }
         //Check a randomisation has happened succesfully
         if(this.mainInstructionOutput.length > 1){
             this.mainInstructionOutputPos = 0;
-            this.boxOutput(this.mainInstructionOutputPos + ".", this.mainInstructionOutput[this.mainInstructionOutputPos]);
+            this.boxOutput(this.instructionPageLabel(), this.mainInstructionOutput[this.mainInstructionOutputPos]);
+            this.savePosition();
+        }
+    }
+
+    //The mat view (and step mode) steps a card at a time, separately from the pages.
+    nextCardClick(){
+        sLog0("Clicked Next card button");
+        if(this.dealCursor != null){
+            this.dealCursor.next();
+            this.showDealCursor();
+        }
+    }
+    previousCardClick(){
+        sLog0("Clicked Prev card button");
+        if(this.dealCursor != null){
+            this.dealCursor.previous();
+            this.showDealCursor();
+        }
+    }
+
+    setStepMode(enabled){
+        sLog0("Step mode " + (enabled ? "on" : "off"));
+        this.stepMode = enabled;
+        if(!enabled && this.voiceGuide != null){
+            this.setVoiceGuide(null);
+        }
+        if(this.dealCursor == null){
+            return;
+        }
+        this.savePosition();
+        if(enabled){
+            this.showDealCursor();
+        } else {
+            this.boxOutput(this.instructionPageLabel(), this.mainInstructionOutput[this.mainInstructionOutputPos]);
+        }
+    }
+
+    //Makes key (a KeyboardEvent.key value, eg "b" for a pedal that types b) step forwards too, in place of any key set before.
+    //null just drops the one set before.
+    setStepKey(key){
+        this.stepKey = key;
+        this.nextStepKeys = this.defaultNextStepKeys.slice();
+        this.previousStepKeys = this.defaultPreviousStepKeys.slice();
+        if(key == null){
+            return;
+        }
+        this.previousStepKeys = this.previousStepKeys.filter(function(previousKey){ return previousKey != key; });
+        if(!this.nextStepKeys.includes(key)){
+            this.nextStepKeys.push(key);
+        }
+    }
+
+    //For the page's key handler - returns true if the key was used (so the page can stop it scrolling etc).
+    keyPressed(key){
+        if(!this.stepMode || this.dealCursor == null){
+            return false;
+        }
+        if(this.nextStepKeys.includes(key)){
+            this.nextButtonClick();
+            return true;
+        }
+        if(this.previousStepKeys.includes(key)){
+            this.previousButtonClick();
+            return true;
+        }
+        if(key == "Home"){
+            this.beginningButtonClick();
+            return true;
+        }
+        return false;
+    }
+
+    showDealCursor(){
+        this.savePosition();
+        this.showMatView();
+        if(this.stepMode && this.dealCursor != null){
+            this.showStep();
+        }
+        this.speakStep();
+    }
+
+    //Turn voice guidance on (with a SoftVoiceGuide) or off (null). It speaks a step at a time, so it turns step mode on.
+    setVoiceGuide(voiceGuide){
+        sLog0("Voice guidance " + (voiceGuide != null ? "on" : "off"));
+        if(this.voiceGuide != null){
+            this.voiceGuide.stop();
+        }
+        clearTimeout(this.voiceTimer);
+        this.voiceGuide = voiceGuide;
+        if(voiceGuide != null){
+            if(this.stepMode){
+                this.speakStep();
+            } else {
+                this.setStepMode(true);
+            }
+        }
+    }
+
+    //Say the current step, and with a tempo set, step on to the next card after it. Gathering takes a while, so that always waits for a key press / tap.
+    speakStep(){
+        clearTimeout(this.voiceTimer);
+        if(this.voiceGuide == null || this.dealCursor == null){
+            return;
+        }
+        this.voiceGuide.say(this.voiceGuide.phrase(this.dealCursor));
+        const state = this.dealCursor.current();
+        if(this.voiceGuide.tempoSeconds > 0 && !state.done && !state.gathering){
+            this.voiceTimer = setTimeout(() => this.nextCardClick(), this.voiceGuide.tempoSeconds * 1000);
+        }
+    }
+
+    //Step mode shows just the one card's pile, big, with where we are in the deal (and the gather text at the end of each pass).
+    showStep(){
+        const state = this.dealCursor.current();
+        let label = this.batchLabel() + this.dealCursor.positionText();
+        if(this.currentPlan.seed !== ""){
+            label += "   Seed: " + this.currentPlan.seed;
+        }
+        if(state.done){
+            this.boxOutput(label, this.doneText(this.currentPlan));
+        } else if(state.gathering){
+            const passPages = this.currentPlan.pages[state.pass];
+            this.boxOutput(label, passPages[passPages.length - 1]);
+        } else {
+            this.boxOutput(label, "\n\n" + state.label);
+        }
+    }
+    showMatView(){
+        if(this.dealCursor == null){
+            this.matViewOutput("", "");
+            return;
         }
+        this.matViewOutput(new SoftMatView(this.currentPlan.mat).svg(this.dealCursor), this.dealCursor.positionText());
+    }
+
+    //Top left corner text for an instruction page - the page number, plus the seed if there is one so it ends up on any photo/printout of the page.
+    instructionPageLabel(){
+        let label = this.batchLabel() + this.mainInstructionOutputPos + ".";
+        if(this.currentPlan != null && this.currentPlan.seed !== ""){
+            label += "   Seed: " + this.currentPlan.seed;
+        }
+        return label;
+    }
+
+    //For a partial shuffle, the pages to show before and after dealing (see softPartialShuffleText()), null for a full shuffle.
+    partialShuffleText(plan){
+        return softPartialShuffleText(plan);
+    }
+
+    //A page listing cards by name, numbered from the top of the deck.
+    cardListPage(title, topFirstCardNames){
+        let page = "\n" + title + "\n\n";
+        for(let i = 0; i < topFirstCardNames.length; i++){
+            page += (i + 1) + ". " + topFirstCardNames[i] + "\n";
+        }
+        return page;
     }
 
     //Get the inputs from the page.
     //Calculate intermediate values.
     // Error check
-    getParseInputs(){
-        this.numCards = this.numCardsGetter();
-        this.numColumns = this.numColumnsGetter();
-        this.numRows = this.numRowsGetter();
-        let numInstrRows = this.numInstrRowsGetter();
-        this.numCardsPerDeal = numInstrRows * this.numInstrPerRow;
-        this.numPiles = this.numColumns * this.numRows;
-        this.numPasses = this.findNumPasses(this.numCards, this.numPiles);
+    //Reads and checks the settings, and shows either what they'll give or what's wrong with them. randomising changes the heading of the
+    //problems, as they're then the reason nothing happened. Returns false (with inputErrors set, see validateInputs()) if they can't be used.
+    getParseInputs(randomising = false){
+        this.inputErrors = this.validateInputs();
+        this.inputErrorsOutput(this.inputErrors);
 
         let returnBool = true;
 
-        if (this.numCards < this.numCardsMin || this.numCards > this.numCardsMax
-          || this.numColumns < this.numColumnsMin || this.numColumns > this.numColumnsMax
-          || this.numRows < this.numRowsMin || this.numRows > this.numRowsMax
-          || this.numInstrRows < this.numInstrRowsMin || this.numInstrRows > this.numInstrRowsMax){
-
-            this.deckMatComboMessage = "";
-            this.deckMatComboMessage += "Current Settings are outside allowed values.\n\n";
-            this.deckMatComboMessage += "Adjust the settings above, then click 'Check Settings' to test.\n\n";
-            returnBool = false;
-          } else if(this.numPasses == -1){
+        if(this.inputErrors.length > 0){
             this.deckMatComboMessage = "";
-            this.deckMatComboMessage += "Too many passes needed (more than " + this.maxPasses + ").\n\n";
-            this.deckMatComboMessage += "Adjust the settings above, then click 'Check Settings' to test.\n\n";
+            this.deckMatComboMessage += (randomising ? (this.sortOrder != null ? "Deck not sorted" : "Deck not randomised") + ", these settings can't be used:\n\n" : "Current Settings can't be used:\n\n");
+            for(const error of this.inputErrors){
+              this.deckMatComboMessage += "* " + this.inputErrorText(error) + "\n";
+            }
+            this.deckMatComboMessage += "\nAdjust the settings above, then click 'Check Settings' to test.\n\n";
             returnBool = false;
           } else {
           //Basically - 1 or 2 passes is Good, 3 is Ok, 4+ Bad.
@@ -676,17 +3814,45 @@ class SoftShuffle{
 
           //this.deckMatComboMessage += "(Instructions below/left)\n\n";
           this.deckMatComboMessage += "- Current Settings: " + settingsAssessment + "\n";
-          this.deckMatComboMessage += "(" + this.numCards + " cards randomised in " + this.numPasses + " deals.)\n";
-          this.deckMatComboMessage += "(Mat spaces used (W*H): [" + this.numColumns + "*" + this.numRows + "].)\n\n";
+          const deals = this.numPasses + (this.numPasses == 1 ? " deal" : " deals");
+          if(this.sortOrder != null){
+            this.deckMatComboMessage += "(" + this.numCards + " cards sorted in at most " + deals + ".)\n";
+          } else if(this.numCardsDealt != this.numCards){
+            this.deckMatComboMessage += "(" + this.numCardsDealt + " of " + this.numCards + " cards randomised in " + deals + ".)\n";
+          } else {
+            this.deckMatComboMessage += "(" + this.numCards + " cards randomised in " + deals + ".)\n";
+          }
+          if(this.matDefinition != null){
+            this.deckMatComboMessage += "(Mat: " + this.matDefinition.name + ", " + this.numPiles + " spaces.)\n";
+          } else {
+            this.deckMatComboMessage += "(Mat spaces used (W*H): [" + this.numColumns + "*" + this.numRows + "].)\n";
+          }
+          this.deckMatComboMessage += this.numPasses > 0 ? "(Piles per pass: " + this.pileCounts.join(", ") + ".)\n" : "(Nothing to deal - a single card is already in every order.)\n";
+          if(this.packs != null){
+            this.deckMatComboMessage += "(Dealt into " + this.packs.sizes.length + " " + this.packs.noun.toLowerCase() + "s of " + this.packs.sizes.join(", ") + " cards"
+              + (this.packs.shuffled ? ", each in a random order" : ", each in the order its cards were in the deck") + ".)\n";
+          }
+          if(this.sortOrder != null){
+            this.deckMatComboMessage += "(Sorting " + this.sortOrder.name + " into " + this.deckDefinition.name + " order.)\n";
+          } else if(this.deckDefinition != null){
+            this.deckMatComboMessage += "(Deck: " + this.deckDefinition.name + ".)\n";
+          }
+          this.deckMatComboMessage += "\n";
 
-          this.deckMatComboMessage += "- Click 'Randomise Deck' to use these settings.\n\n";
+          this.deckMatComboMessage += (this.sortOrder != null ? "- Click 'Sort Deck' to use these settings.\n\n" : "- Click 'Randomise Deck' to use these settings.\n\n");
           
           //this.deckMatComboMessage += "Otherwise adjust the settings above, then click 'Check Settings' to test.\n\n"
 
+          this.deckMatComboMessage += this.effortAdvice();
+
           this.deckMatComboMessage += "- Info:\n"
-          this.deckMatComboMessage += "* [" + this.numColumns + " * " + this.numRows + "] mat spaces gives a total of " + this.numPiles + " piles.\n";
-          this.deckMatComboMessage += "* " + Math.ceil(Math.sqrt(this.numCards)) + "+ piles needed for 2 pass for " + this.numCards + " cards.\n";
-          this.deckMatComboMessage += "* " + Math.ceil(Math.cbrt(this.numCards)) + "+ piles needed for 3 pass for " + this.numCards + " cards.";
+          if(this.matDefinition != null){
+            this.deckMatComboMessage += "* " + this.matDefinition.name + " has " + this.numPiles + " spaces, so " + this.numPiles + " piles.\n";
+          } else {
+            this.deckMatComboMessage += "* [" + this.numColumns + " * " + this.numRows + "] mat spaces gives a total of " + this.numPiles + " piles.\n";
+          }
+          this.deckMatComboMessage += "* " + Math.ceil(Math.sqrt(this.numCardsDealt)) + "+ piles needed for 2 pass for " + this.numCardsDealt + " cards.\n";
+          this.deckMatComboMessage += "* " + Math.ceil(Math.cbrt(this.numCardsDealt)) + "+ piles needed for 3 pass for " + this.numCardsDealt + " cards.";
 
         }
         sLog(this.deckMatComboMessage);
@@ -695,142 +3861,655 @@ class SoftShuffle{
         return returnBool; 
     }
 
-    //Its useful to be able to speculatively do this as well as in error checking.
-    //We manually check powers rather than testing roots to avoid rounding errors.
-    //We limit to 5 passes - even 3 should do what any user feasibly wants.
-    findNumPasses(numCards, numPiles){
-      let accumulator = numPiles;
-      let i = 1;
-      while(i <= this.maxPasses){
-        if(accumulator >= numCards){
-          return i;
+    //Reads every setting and checks it, returning a list of problems - {field, value, min, max, reason} for each, where field is the setting
+    //("numCards", "deck", "sortOrder", "numColumns", "numRows", "numInstrRows", "mat", "shuffleRange", "fixedPositions", "constraints" or "packs"), value what
+    //was read, min / max the allowed range (null when it isn't a range) and reason a sentence saying what's wrong. Empty if they can all be used.
+    //Also sets numCards, numPiles, numPasses etc from them, as far as they make sense.
+    validateInputs(){
+        const errors = [];
+        const check = function(field, value, min, max){
+          let reason = null;
+          if(typeof value != "number" || Number.isNaN(value)){
+            reason = "is empty or not a number";
+          } else if(!Number.isInteger(value)){
+            reason = "must be a whole number";
+          } else if(value < min || value > max){
+            reason = "is outside the allowed range";
+          }
+          if(reason != null){
+            errors.push({field: field, value: value, min: min, max: max, reason: reason});
+          }
+          return reason == null;
+        };
+
+        this.deckDefinition = null;
+        try {
+          this.deckDefinition = this.deckDefinitionGetter();
+        } catch(e) {
+          errors.push({field: "deck", value: null, min: null, max: null, reason: e.message});
+        }
+        if(this.deckDefinition != null){
+          this.numCards = this.deckDefinition.numCardsGetter();
+          if(this.numCards < this.numCardsMin || this.numCards > this.numCardsMax){
+            errors.push({field: "deck", value: this.numCards, min: this.numCardsMin, max: this.numCardsMax, reason: "has " + this.numCards + " cards, outside the allowed range"});
+          }
         } else {
-          i++;
-          accumulator *= numPiles;
+          this.numCards = this.numCardsGetter();
+          check("numCards", this.numCards, this.numCardsMin, this.numCardsMax);
         }
-      }
-      return -1;
+        //Sorting deals the deck as it is now into the named deck's order, so the two have to be the same cards.
+        this.sortOrder = null;
+        try {
+          this.sortOrder = this.sortOrderGetter();
+        } catch(e) {
+          errors.push({field: "sortOrder", value: null, min: null, max: null, reason: e.message});
+        }
+        if(this.sortOrder != null){
+          if(this.deckDefinition == null){
+            errors.push({field: "deck", value: null, min: null, max: null, reason: "has to be a named deck or card list to sort into"});
+          } else {
+            try {
+              softSortPermutation(this.sortOrder.topFirstCardNames, this.deckDefinition.topFirstCardNames);
+            } catch(e) {
+              errors.push({field: "sortOrder", value: null, min: null, max: null, reason: e.message});
+            }
+          }
+        }
+        this.numInstrRows = this.numInstrRowsGetter();
+        check("numInstrRows", this.numInstrRows, this.numInstrRowsMin, this.numInstrRowsMax);
+        this.numCardsPerDeal = this.numInstrRows * this.numInstrPerRow;
+
+        //A named or custom mat replaces the Columns and Rows settings.
+        this.matDefinition = null;
+        try {
+          this.matDefinition = this.matDefinitionGetter();
+        } catch(e) {
+          errors.push({field: "mat", value: null, min: null, max: null, reason: e.message});
+        }
+        if(this.matDefinition != null){
+          this.numColumns = this.matDefinition.numColumns;
+          this.numRows = this.matDefinition.numRows;
+          this.numPiles = this.matDefinition.numSpacesGetter();
+        } else {
+          this.numColumns = this.numColumnsGetter();
+          this.numRows = this.numRowsGetter();
+          check("numColumns", this.numColumns, this.numColumnsMin, this.numColumnsMax);
+          check("numRows", this.numRows, this.numRowsMin, this.numRowsMax);
+          this.numPiles = this.numColumns * this.numRows;
+        }
+        if(errors.length > 0){
+          return errors;
+        }
+
+        //For a partial shuffle only some of the cards are dealt, so they're what set the number of passes.
+        let fixedPositions = [];
+        try {
+          fixedPositions = softPositionsFromText(this.fixedPositionsGetter(), this.numCards);
+        } catch(e) {
+          errors.push({field: "fixedPositions", value: this.fixedPositionsGetter(), min: null, max: null, reason: e.message});
+        }
+        const shuffleRange = this.shuffleRangeGetter();
+        try {
+          this.planner.dealtPositions(this.numCards, shuffleRange, []);
+        } catch(e) {
+          errors.push({field: "shuffleRange", value: shuffleRange.count, min: 1, max: this.numCards, reason: e.message});
+        }
+        if(errors.length == 0){
+          try {
+            this.numCardsDealt = this.planner.dealtPositions(this.numCards, shuffleRange, fixedPositions).length;
+          } catch(e) {
+            errors.push({field: "fixedPositions", value: this.fixedPositionsGetter(), min: 0, max: this.numCards - 1, reason: e.message});
+          }
+        }
+        try {
+          softConstraintsFromText(this.constraintsGetter(), this.numCards).checkAgainstDeck(this.numCards);
+        } catch(e) {
+          errors.push({field: "constraints", value: this.constraintsGetter(), min: null, max: null, reason: e.message});
+        }
+        if(this.sortOrder != null && this.numCardsDealt != this.numCards){
+          errors.push({field: "shuffleRange", value: this.numCardsDealt, min: null, max: null, reason: "can't be used when sorting, the whole deck is dealt"});
+        }
+        if(this.sortOrder != null && errors.length == 0 && !softConstraintsFromText(this.constraintsGetter(), this.numCards).isEmpty()){
+          errors.push({field: "constraints", value: this.constraintsGetter(), min: null, max: null, reason: "can't be used when sorting"});
+        }
+        this.packs = null;
+        try {
+          this.packs = softPacksFromText(this.packsGetter(), Number.isInteger(this.numCards) ? this.numCards : this.numCardsMax);
+          if(this.packs != null){
+            this.packs.shuffled = this.shufflePacksGetter() === true;
+          }
+        } catch(e) {
+          errors.push({field: "packs", value: this.packsGetter(), min: null, max: null, reason: e.message});
+        }
+        if(this.packs != null && (this.sortOrder != null || this.numCardsDealt != this.numCards)){
+          errors.push({field: "packs", value: this.packsGetter(), min: null, max: null, reason: "can't be used when sorting or shuffling part of the deck"});
+        }
+        if(errors.length > 0){
+          return errors;
+        }
+
+        //Packs take one pass to deal them out - shuffled packs take enough before it to randomise the biggest pack too.
+        if(this.packs != null){
+          try {
+            this.pileCounts = this.planner.packPileCounts(this.packs.sizes, this.numCards, this.numPiles, this.pileStrategyGetter(), this.packs.shuffled);
+          } catch(e) {
+            errors.push({field: "packs", value: this.packsGetter(), min: null, max: null, reason: e.message});
+            return errors;
+          }
+          this.numPasses = this.pileCounts != null ? this.pileCounts.length : -1;
+        } else {
+          this.numPasses = this.findNumPasses(this.numCardsDealt, this.numPiles);
+        }
+        if(this.numPasses == -1){
+          errors.push({field: "mat", value: this.numPiles, min: null, max: null,
+                       reason: "has too few spaces - " + this.numCardsDealt + " cards on " + this.numPiles + " would take more than " + this.maxPasses + " passes"});
+          return errors;
+        }
+        if(this.packs == null){
+          this.pileCounts = this.planner.findPileCounts(this.numCardsDealt, this.numPiles, this.pileStrategyGetter());
+        }
+        return errors;
+    }
+
+    //One line for a validateInputs() problem, eg "Cards (0) is outside the allowed range - 1 to 10000."
+    inputErrorText(error){
+        const names = {numCards: "Cards", deck: "Deck", numColumns: "Columns", numRows: "Rows", numInstrRows: "Output Rows", mat: "Mat",
+                       sortOrder: "Current order", shuffleRange: "Shuffle", fixedPositions: "Keep fixed", constraints: "Constraints", packs: "Packs"};
+        let text = names[error.field] || error.field;
+        if(typeof error.value == "number" && !Number.isNaN(error.value)){
+          text += " (" + error.value + ")";
+        }
+        text += error.reason.match(/^(is|must|has|can't) /) ? " " + error.reason : ": " + error.reason;
+        if(error.min != null && error.max != null){
+          text += (/[.)]$/.test(text) ? "" : ".") + " Allowed: " + error.min + " to " + error.max;
+        }
+        return text.replace(/\.?$/, ".");
+    }
+
+    //Estimated effort of the current settings, and the mat size (up to the allowed rows/columns) and gather direction the cost model thinks is best.
+    effortAdvice(){
+        const mat = new SoftMat(this.numCardsDealt, this.numRows, this.numColumns, this.numCardsPerDeal, this.matDefinition);
+        const gatherDirection = this.gatherDirectionGetter();
+        const current = this.costModel.estimate(this.numCardsDealt, mat, this.pileCounts, this.planner.gatherForwards(this.numPasses, gatherDirection), this.planner);
+        let advice = "- Estimated effort: " + this.costModel.describe(current) + ".\n";
+        //The recommendations are for gathering the deck as one, so they'd be no use for packs.
+        if(this.packs != null){
+          return advice + "\n";
+        }
+        const best = this.recommendedMat();
+        if(best.cost.seconds < current.seconds * 0.95){
+          advice += "- Recommended: [" + best.numColumns + "*" + best.numRows + "] mat spaces (W*H), gather " + best.gatherDirection + ", "
+            + best.numPasses + " passes (piles per pass: " + best.pileCounts.join(", ") + "), " + this.costModel.describe(best.cost)
+            + " - " + Math.round(100 * (1 - best.cost.seconds / current.seconds)) + "% less effort.\n\n";
+        } else {
+          advice += "- Recommended: these settings (no mat up to [" + this.numColumnsMax + "*" + this.numRowsMax + "] is more than 5% less effort).\n\n";
+        }
+        return advice;
+    }
+
+    //The least effort mat for the current number of cards (see SoftPlanner.recommendMats()). Checking settings, randomising and planning a
+    //batch all ask for it, so it's only worked out again when the cards, the limits or the pile strategy have changed.
+    recommendedMat(){
+        const key = [this.numCardsDealt, this.numRowsMax, this.numColumnsMax, this.pileStrategyGetter()].join(",");
+        if(this.recommendation == null || this.recommendation.key != key){
+          this.recommendation = {key: key, best: this.planner.recommendMats(this.numCardsDealt, this.numRowsMax, this.numColumnsMax, this.pileStrategyGetter(), this.costModel, 1)[0]};
+        }
+        return this.recommendation.best;
+    }
+
+    //The current plan exported as "text", "csv", "json" or "html" (see SoftPlanExporter), null until a randomisation has succeeded.
+    exportPlan(format){
+        if(this.currentPlan == null){
+          return null;
+        }
+        return new SoftPlanExporter(this.currentPlan).export(format);
+    }
+
+    //The SoftMat for the current mat settings (so a printed mat matches them), null if they can't be used.
+    currentMat(){
+        let matDefinition = null;
+        try {
+          matDefinition = this.matDefinitionGetter();
+        } catch(e) {
+          return null;
+        }
+        const numRows = this.numRowsGetter();
+        const numColumns = this.numColumnsGetter();
+        if(matDefinition == null && !(Number.isInteger(numRows) && numRows >= this.numRowsMin && numRows <= this.numRowsMax
+                                      && Number.isInteger(numColumns) && numColumns >= this.numColumnsMin && numColumns <= this.numColumnsMax)){
+          return null;
+        }
+        return new SoftMat(0, numRows, numColumns, 1, matDefinition);
+    }
+
+    //Its useful to be able to speculatively do this as well as in error checking.
+    findNumPasses(numCards, numPiles){
+      return this.planner.findNumPasses(numCards, numPiles);
     }
 
-    //Perform a full randomisation.
-    //With 1 pass, deal cards to where they are meant to be, and gather.
-    //With 2 pass, deal cards to the right piles for a final pass, gather, final pass.
-    //Antepenultimate, penultimate, ultimate are the proper terms for thirdToLast, secondToLast and Last, 
-    //but are actually longer to write out and lower readability.
+    //Perform a full randomisation (the work itself is done by SoftPlanner.plan()), then lay the pages out for the Prev/Next buttons.
     performRandomisation() {
         //Assume user has set inputs by now, but defaults if not.
-        if (this.getParseInputs() == false){
+        if (this.getParseInputs(true) == false){
           return;
         }
         sLog0("Parsed inputs, no issues found");
 
         //Set initial outputs
         this.resetOutput();
+        this.batch = null;
 
-        //Create Mat representation
-        const matMapper = new SoftMat(this.numCards, this.numRows, this.numColumns, this.numCardsPerDeal);
-        matMapper.printMat();
-        
+        let plan;
+        try {
+          if(this.sortOrder != null){
+            plan = this.planner.plan({numRows: this.numRows, numColumns: this.numColumns, numInstrRows: this.numInstrRowsGetter(),
+                                      deckDefinition: this.sortOrder, sortTarget: this.deckDefinition,
+                                      pileStrategy: this.pileStrategyGetter(), gatherDirection: this.gatherDirectionGetter(), matDefinition: this.matDefinition});
+          } else {
+            plan = this.planner.plan({numCards: this.numCards, numRows: this.numRows, numColumns: this.numColumns,
+                                      numInstrRows: this.numInstrRowsGetter(), seed: this.seedGetter(), deckDefinition: this.deckDefinition,
+                                      constraints: softConstraintsFromText(this.constraintsGetter(), this.numCards),
+                                      shuffleRange: this.shuffleRangeGetter(), fixedPositions: softPositionsFromText(this.fixedPositionsGetter(), this.numCards), packs: this.packs,
+                                      pileStrategy: this.pileStrategyGetter(), gatherDirection: this.gatherDirectionGetter(), matDefinition: this.matDefinition,
+                                      useCryptoRNG: this.useCryptoRNG, useRejectionSampling: this.useRejectionSampling});
+          }
+        } catch(e) {
+          //Nothing is shown to deal from - Prev/Next stay inactive until a randomisation succeeds.
+          sLog0("Randomisation failed: " + e.message);
+          this.currentPlan = null;
+          this.dealCursor = null;
+          this.setCommitment(null);
+          this.showMatView();
+          this.boxOutput("Randomisation failed.", "\n" + e.message);
+          return;
+        }
+        //Sorting gives an order everyone knows already, so there's nothing to commit to.
+        this.setCommitment(this.sortOrder == null ? new SoftCommitment(plan, this.dealerGetter()) : null);
+        this.showPlan(plan);
+        if(this.sessionStore != null){
+          this.sessionStore.save(this.sessionStore.record(plan, this.sortOrder != null ? "" : this.constraintsGetter(), this.commitment));
+        }
+
+        //This sets to the start of the instructions.
+        this.beginningButtonClick();
+    }
 
-        //We only create a Deck from nothing this one time - this creates ones with the initial positions matching the array indices - ie unshuffled.
-        const initialPositions = [];
-        for (let i = 0; i < this.numCards; i++) {
-            initialPositions[i] = i;
+    //Resume a saved shuffle ({record, position} from SoftSessionStore.load(), or a history record) - the plan is rebuilt from the saved
+    //permutation, never randomised again. Returns false (with the reason shown) if it can't be.
+    resumeSession(session){
+        sLog0("Resuming shuffle from " + session.record.createdAt);
+        let plan;
+        try {
+          plan = this.planner.plan(this.sessionStore.planSettings(session.record));
+          for(const report of session.record.recoveries || []){
+            plan = this.planner.recover(plan, report);
+          }
+        } catch(e) {
+          sLog0("Resume failed: " + e.message);
+          this.boxOutput("Couldn't resume the shuffle.", "\n" + e.message);
+          return false;
         }
-        const initialDeck = new SoftDeck(this.numCards, initialPositions, 0);
-        
-        //Perform randomisation
-        initialDeck.printDeck("Deck pre-randomisation - unshuffled so card positions match their array index");
-        initialDeck.randomiseDeck(this.useCryptoRNG, this.useRejectionSampling);
-        initialDeck.printDeck("Deck post-randomisation - array element show the position we wish that card to end up in.");
-        sLog0("NOTE! All randomisation has happened now, the rest (and vast majority) of the code is how to generate 1,2 or 3 deals to get the cards to their randomised postions.")
-
-
-        //NOTE: I've retained the following commented out code to make it easier to understand what's going on here. 
-        //It also may be useful for compatibility issue.
-        //The functions used to generate the pile each card should be dealt to, expressed as the general case where only the power used in division changes.
-        //'UnityQuotientFunc' is really just a remainder function but expressed fully here to show the general case.
-        // It simplifies to 'function remainderFunc (newPosition, numPiles) { return newPosition % numPiles; };'
-        //Naming is tricky, but for simplicity i've used (for example) 'square' quotient to represent the fact that for 2-pass, the number of cards must be <= square of the number of piles.
-        //function unityQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 0)) % numPiles); };
-        //function squareQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 1)) % numPiles); };
-        //function cubeQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 2)) % numPiles); };
-        //function quadQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 3)) % numPiles); };
-        //function quintQuotientFunc (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, 4)) % numPiles); };
-        //let functionArray = [unityQuotientFunc, squareQuotientFunc, cubeQuotientFunc, quadQuotientFunc, quintQuotientFunc];
-        //General case expressed programatically
-        let functionArray = [];
-        for(let i = 0; i < this.numPasses; i++){
-          function quotientFunction (newPosition, numPiles) { return (Math.trunc(newPosition / Math.pow(numPiles, i)) % numPiles); };
-          functionArray[i] = quotientFunction;
-        }
-
-        //Gather forwards alternates true / false / true, and starts false if numPasses is odd, true on even.
-        //starts true on even.
-        let gatherForward = false;
-        if (this.numPasses % 2 == 0){
-          gatherForward = true;
-        }
-
-        let currentDeck = initialDeck;
-        let deckArray = [];
-        let instrArray = [];
-        let mappedInstructions = [];
-
-        //perform the required number of passes (realistically only ever likely to be max 4, but lets people explore the algorithm)
-        for(let i = 0; i < this.numPasses; i++){
-          //Create the next set of functions based on the quotient function for this iteration / pass
-          const newInstr = new SoftInstructions(currentDeck.deckSizeGetter(), currentDeck.applyFuncToDeck(functionArray[i], this.numPiles), gatherForward);
-          //newInstr.printInstructions("Pass " + i + " instructions");
-  
-          //apply the instructions to genenerate the new deck that will be generated once dealing has happened.
-          const newDeck = new SoftDeck(currentDeck.deckSizeGetter(), newInstr.applyInstrToDeck(currentDeck, this.numPiles), 0);
-          //newDeck.printDeck("New deck after Pass " + i + " instructions applied to it.");
-
-          //Map the instructions to the mat and generate the Strings needed to output.
-          const newMappedInstr = matMapper.mapInstructionsToMat(newInstr);
-          //sLog("Instructions for Pass " + i + " mapped to mat, split by number of rows of instructions + gather text", newMappedInstr);
-
-          instrArray[i] = newInstr;
-          deckArray[i] = newDeck;
-          mappedInstructions[i] = newMappedInstr;
-          currentDeck = newDeck;
-
-          //flip gatherForward
-          if(gatherForward == true){
-            gatherForward = false;
-          } else {
-            gatherForward = true;
+        this.resetOutput();
+        this.batch = null;
+        const commitment = session.record.commitment;
+        this.setCommitment(commitment != null ? new SoftCommitment(plan, commitment.dealer, commitment.nonce) : null);
+        this.showPlan(plan);
+        const position = session.position || {page: 0, pass: 0, card: 0, stepMode: false};
+        this.mainInstructionOutputPos = Math.min(Math.max(0, position.page), this.mainInstructionOutput.length - 1);
+        this.dealCursor.pass = Math.min(position.pass, plan.numPasses);
+        this.dealCursor.card = this.dealCursor.isDone() ? 0 : Math.min(position.card, plan.numCardsDealt);
+        this.stepMode = position.stepMode == true;
+        if(this.sessionStore.load() == null || this.sessionStore.load().record.createdAt != session.record.createdAt){
+          this.sessionStore.save(session.record);
+        }
+        this.savePosition();
+        this.showMatView();
+        if(this.stepMode){
+          this.showStep();
+        } else {
+          this.boxOutput(this.instructionPageLabel(), this.mainInstructionOutput[this.mainInstructionOutputPos]);
+        }
+        return true;
+    }
+
+    //Recover from a misdeal in the shuffle being dealt - the pages become the ones that get it back on course (see SoftPlanner.recover()).
+    misdealButtonClick(){
+        sLog0("Clicked Misdeal button");
+        if(this.currentPlan == null){
+          this.boxOutput("Nothing to recover - click 'Randomise Deck' first.", "");
+          return;
+        }
+        let plan;
+        try {
+          const misdeal = this.misdealGetter();
+          plan = this.planner.recover(this.currentPlan, softMisdealFromText(misdeal.pass, misdeal.cards, misdeal.gatherOrder));
+        } catch(e) {
+          sLog0("Recovery failed: " + e.message);
+          this.boxOutput("Couldn't recover from that.", "\n" + e.message);
+          return;
+        }
+        if(this.batch != null){
+          this.batch.decks[this.batch.current].plan = plan;
+        }
+        this.showPlan(plan);
+        if(this.sessionStore != null){
+          this.sessionStore.save(this.sessionStore.record(plan, this.constraintsGetter(), this.commitment));
+        }
+        this.beginningButtonClick();
+    }
+
+    //Commit to the plan about to be dealt (a SoftCommitment), or drop the commitment (null), and show the receipt once it's worked out.
+    //Returns a Promise of the commitment (null if there isn't one).
+    setCommitment(commitment){
+        this.commitment = commitment;
+        this.commitmentOutput("");
+        if(commitment == null){
+          return Promise.resolve(null);
+        }
+        return commitment.commit().then((digest) => {
+          //A newer shuffle may have replaced it while it was being hashed.
+          if(this.commitment === commitment){
+            this.commitmentOutput(JSON.stringify(commitment.receipt(), null, 2));
           }
+          return digest;
+        }, function(e){
+          sLog0("Couldn't commit to the shuffle: " + e.message);
+          return null;
+        });
+    }
+
+    //Show the receipt again (after the reveal), returns it as JSON or null if there's no commitment.
+    receiptButtonClick(){
+        sLog0("Clicked Receipt button");
+        if(this.commitment == null || this.commitment.commitment == null){
+          this.boxOutput("No receipt - only a randomised deck is committed to.", "");
+          return null;
+        }
+        const receipt = JSON.stringify(this.commitment.receipt(), null, 2);
+        this.commitmentOutput(receipt);
+        return receipt;
+    }
 
+    //Show the reveal, to share once the game's over - it gives the order away. Returns it as JSON, or null if there's no commitment.
+    revealButtonClick(){
+        sLog0("Clicked Reveal button");
+        if(this.commitment == null || this.commitment.commitment == null){
+          this.boxOutput("Nothing to reveal - only a randomised deck is committed to.", "");
+          return null;
         }
+        const reveal = JSON.stringify(this.commitment.reveal(), null, 2);
+        this.commitmentOutput(reveal);
+        return reveal;
+    }
 
-        this.mainInstructionOutput = [];
-        this.mainInstructionOutput.push("\nVirtual randomisation complete.\n\nClick Next for first deal instruction. ");
+    //The last page, once everything's dealt.
+    doneText(plan){
+        if(plan.sortTarget != null){
+          return "\nDone!\n\nDeck sorted into " + plan.sortTarget.name + " order. ";
+        }
+        if(plan.packs != null){
+          return "\nDone!\n\nThe " + plan.packs.noun.toLowerCase() + "s are randomised and ready to hand out. ";
+        }
+        return "\nDone!\n\nDeck randomised and ready for use. ";
+    }
 
-        //Log the instructions and new decks 
-        for(let i = 0; i < this.numPasses; i++){
-          instrArray[i].printInstructions("Pass " + i + " instructions");
-          deckArray[i].printDeck("New deck after Pass " + i + " instructions applied to it.");
-          sLog("Instructions for Pass " + i + " mapped to mat, split by number of rows of instructions + gather text", mappedInstructions[i]);
-  
-          for(let j = 0; j < mappedInstructions[i].length; j++){
-            this.mainInstructionOutput.push(mappedInstructions[i][j]);
+    //The first page after a misdeal, saying how the deck gets back on course.
+    recoveryText(plan){
+        const recovery = plan.recovery;
+        let text = "\nRecovering from the mistake in pass " + (recovery.pass + 1) + ".\n\n";
+        if(recovery.packMoves !== undefined){
+          text += recovery.unchanged ? "Those cards are on the right piles already." : "Move " + (recovery.packMoves.length == 1 ? "this card" : "these cards") + " to the right pile:\n";
+          for(const move of recovery.packMoves){
+            text += "\nTake card " + move.fromPosition + " from the top of " + move.from + " and put it in " + move.to + " so it's card " + move.toPosition + " from the top.";
+          }
+          return text + "\n\nThe packs are still uniformly random.\n\nClick Next for the end. ";
+        }
+        if(recovery.unchanged){
+          text += "It made no difference to the deck, carry on with the next pass.";
+        } else if(recovery.fixUp != null){
+          text += "With the piles gathered, move " + (recovery.fixUp.length == 1 ? "this card" : "these cards, in this order") + " (counting from the top card, which is 1):\n";
+          for(const move of recovery.fixUp){
+            text += "\nTake out card " + move.from + " and put it back so it's card " + move.to + ".";
+          }
+          text += "\n\nThen carry on with the next pass.";
+        } else {
+          text += "Too many cards are out of place to move by hand, so the deck is dealt again from the order it's in now - "
+                  + recovery.passesRedealt + (recovery.passesRedealt == 1 ? " pass." : " passes.");
+        }
+        return text + "\n\nIt still ends in the same randomised order.\n\nClick Next for " + (plan.numPasses > 0 ? "the first deal instruction. " : "the end. ");
+    }
+
+    //Plan every deck in the batch at once (see SoftPlanner.planBatch()) on the current mat, then deal them one after another.
+    //Constraints, partial shuffles and named decks are for a single deck, so a batch doesn't use them.
+    batchButtonClick(){
+        sLog0("Clicked Batch button");
+        if(this.getParseInputs(true) == false){
+          return;
+        }
+        let decks;
+        try {
+          const batchDecks = softBatchFromText(this.batchGetter());
+          for(const deck of batchDecks){
+            if(deck.numCards < this.numCardsMin || deck.numCards > this.numCardsMax){
+              throw new RangeError(deck.name + " has " + deck.numCards + " cards, outside the allowed range (" + this.numCardsMin + " to " + this.numCardsMax + ").");
+            }
           }
+          decks = this.planner.planBatch(batchDecks, {numRows: this.numRows, numColumns: this.numColumns, numInstrRows: this.numInstrRows,
+                                                      seed: this.seedGetter(), pileStrategy: this.pileStrategyGetter(), gatherDirection: this.gatherDirectionGetter(),
+                                                      matDefinition: this.matDefinition, useCryptoRNG: this.useCryptoRNG, useRejectionSampling: this.useRejectionSampling});
+        } catch(e) {
+          sLog0("Batch failed: " + e.message);
+          this.boxOutput("Batch not planned.", "\n" + e.message);
+          return;
         }
+        this.setCommitment(null);
+        this.batch = {decks: decks.map(function(deck){ return Object.assign({done: false}, deck); }), current: 0,
+                      seed: this.seedGetter(), createdAt: new Date().toISOString()};
+        this.showBatchDeck();
+    }
 
-        this.mainInstructionOutput.push("\nDone!\n\nDeck randomised and ready for use. ");
+    //Move on to the next deck in the batch that isn't done - the one being dealt counts as done once it's been dealt to the end.
+    //After the last one, shows the batch report.
+    nextDeckButtonClick(){
+        sLog0("Clicked Next Deck button");
+        if(this.batch == null){
+          this.boxOutput("No batch in progress - list the decks and click 'Plan Batch' first.", "");
+          return;
+        }
+        const batch = this.batch;
+        if(!this.isDealing()){
+          batch.decks[batch.current].done = true;
+        }
+        const next = this.nextBatchDeck();
+        if(next != -1){
+          batch.current = next;
+          this.showBatchDeck();
+        } else if(batch.decks[batch.current].done){
+          this.boxOutput("Batch complete.", this.batchReport());
+        } else {
+          this.boxOutput(this.batchLabel(), "\nThis is the last deck left to deal - finish it, then click 'Next Deck'.");
+        }
+    }
 
-        sLog("Main Instructions\n",this.mainInstructionOutput);
+    batchReportButtonClick(){
+        sLog0("Clicked Batch Report button");
+        if(this.batch == null){
+          this.boxOutput("No batch in progress - list the decks and click 'Plan Batch' first.", "");
+          return;
+        }
+        this.boxOutput("Batch report.", this.batchReport());
+    }
 
-        //This sets to the start of the instructions.
+    //Deal the batch's current deck from the start, and save it as the shuffle in progress (so it can be resumed on its own).
+    showBatchDeck(){
+        const plan = this.batch.decks[this.batch.current].plan;
+        this.resetOutput();
+        this.showPlan(plan);
+        if(this.sessionStore != null){
+          this.sessionStore.save(this.sessionStore.record(plan, ""));
+        }
         this.beginningButtonClick();
+    }
+
+    //The next deck in the batch after the current one that isn't done (coming back round to any skipped), -1 if there are none.
+    nextBatchDeck(){
+        for(let step = 1; step < this.batch.decks.length; step++){
+          const index = (this.batch.current + step) % this.batch.decks.length;
+          if(!this.batch.decks[index].done){
+            return index;
+          }
+        }
+        return -1;
+    }
 
-        //Just for testing
-        //initialDeck.randomSampleTester(this.useRejectionSampling, this.useCryptoRNG);
+    //eg "Deck 2 of 8 (2-5F0A2C)   ", "" when there's no batch.
+    batchLabel(){
+        if(this.batch == null){
+          return "";
+        }
+        return "Deck " + (this.batch.current + 1) + " of " + this.batch.decks.length + " (" + this.batch.decks[this.batch.current].id + ")   ";
     }
-}
 
+    //Every deck in the batch with its identifier and whether it's been dealt, for the judge's records.
+    batchReport(){
+        const batch = this.batch;
+        const numDone = batch.decks.filter(function(deck){ return deck.done; }).length;
+        let text = "\nBatch of " + batch.decks.length + " decks on " + batch.decks[0].plan.mat.matDefinition.name
+                   + (batch.seed !== "" ? " (seed: " + batch.seed + ")" : "") + ", planned " + batch.createdAt.replace("T", " ").substring(0, 16) + ".\n\n";
+        batch.decks.forEach(function(deck, i){
+          text += deck.id + "  " + deck.name + " - " + deck.plan.numCards + " cards, " + deck.plan.numPasses + (deck.plan.numPasses == 1 ? " pass" : " passes") + " - "
+                  + (deck.done ? "done" : (i == batch.current ? "being dealt" : "not dealt yet")) + "\n";
+        });
+        return text + "\n" + numDone + " of " + batch.decks.length + " decks done.";
+    }
+
+    resumeButtonClick(){
+        sLog0("Clicked Resume button");
+        const session = this.sessionStore != null ? this.sessionStore.load() : null;
+        if(session == null){
+          this.boxOutput("No shuffle to resume.", "");
+          return;
+        }
+        this.resumeSession(session);
+    }
+
+    //Re-open a shuffle from the history (newest first), from the beginning.
+    openHistoryClick(index){
+        sLog0("Opening history entry " + index);
+        const history = this.sessionStore != null ? this.sessionStore.history() : [];
+        if(history[index] === undefined){
+          this.boxOutput("No shuffle in the history there.", "");
+          return;
+        }
+        this.resumeSession({record: history[index], position: {page: 0, pass: 0, card: 0, stepMode: this.stepMode}});
+    }
+
+    //Tell the user about a shuffle they can resume (called once the page is set up), returns true if there is one.
+    offerResume(){
+        const session = this.sessionStore != null ? this.sessionStore.load() : null;
+        if(session == null){
+          return false;
+        }
+        this.boxOutput("A shuffle is in progress.", "\nShuffle from " + this.sessionStore.describe(session.record) + ".\n\n"
+                       + "Click 'Resume Shuffle' to carry on where you left off (page " + session.position.page + ", pass " + (session.position.pass + 1) + ", card " + (session.position.card + 1) + ").");
+        return true;
+    }
+
+    //True while there's a shuffle part way through being dealt (so the page keeps the screen on).
+    isDealing(){
+        if(this.currentPlan == null){
+          return false;
+        }
+        if(this.stepMode && this.dealCursor != null){
+          return !this.dealCursor.isDone();
+        }
+        return this.mainInstructionOutputPos < this.mainInstructionOutput.length - 1;
+    }
+
+    savePosition(){
+        if(this.sessionStore != null && this.dealCursor != null){
+          this.sessionStore.savePosition({page: this.mainInstructionOutputPos, pass: this.dealCursor.pass, card: this.dealCursor.card, stepMode: this.stepMode});
+        }
+    }
+
+    //Lay a plan out as the pages for the Prev/Next buttons (and the cursor for step mode / the mat view).
+    showPlan(plan){
+        this.currentPlan = plan;
+        this.dealCursor = new SoftDealCursor(plan);
+        this.showMatView();
+
+        this.mainInstructionOutput = [];
+        //A single card (or none) needs no dealing at all.
+        const nextText = plan.numPasses > 0 ? "Click Next for first deal instruction. " : "There's nothing to deal. Click Next for the end. ";
+        if(plan.recovery != null){
+          this.mainInstructionOutput.push(this.recoveryText(plan));
+        } else if(plan.sortTarget != null){
+          this.mainInstructionOutput.push(plan.numPasses == 0 ? "\nThe deck is already in " + plan.sortTarget.name + " order, there's nothing to deal."
+                                          : "\nSorting plan ready - " + plan.numPasses + (plan.numPasses == 1 ? " pass" : " passes") + " to put the deck in "
+                                            + plan.sortTarget.name + " order.\n\nClick Next for first deal instruction. ");
+        } else if(plan.restored){
+          this.mainInstructionOutput.push("\nResumed the shuffle made " + plan.createdAt.replace("T", " ").substring(0, 19) + (plan.seed !== "" ? " (seed: " + plan.seed + ")" : "")
+                                          + ".\n\nThe order is the saved one, it hasn't been randomised again.\n\n" + nextText);
+        } else if(plan.seed !== ""){
+          this.mainInstructionOutput.push("\nVirtual randomisation complete (seed: " + plan.seed + ").\n\nThe same seed and settings will always give these instructions.\n\n" + nextText);
+        } else {
+          this.mainInstructionOutput.push("\nVirtual randomisation complete.\n\n" + nextText);
+        }
+        if(plan.constraints != null && !plan.restored && plan.recovery == null){
+          this.mainInstructionOutput[0] += "\n\nConstraints met (took " + plan.constraintAttempts + " randomisations):\n" + plan.constraints.describe();
+        }
+        if(this.commitment != null && plan.recovery == null){
+          this.mainInstructionOutput[0] += "\n\nThe order is committed to - share the receipt before dealing, and reveal it once the game's over.";
+        }
+        const partialText = this.partialShuffleText(plan);
+        //After a misdeal the deck is already set up.
+        if(partialText != null && plan.recovery == null){
+          this.mainInstructionOutput.push(partialText[0]);
+        }
+        if(plan.deckDefinition != null && plan.recovery == null){
+          this.mainInstructionOutput.push(this.cardListPage("Start with the " + plan.deckDefinition.name + " face down in this order, top card first:",
+                                                            plan.deckDefinition.topFirstCardNames));
+        }
+
+        for(let i = 0; i < plan.numPasses; i++){
+          for(let j = 0; j < plan.pages[i].length; j++){
+            this.mainInstructionOutput.push(plan.pages[i][j]);
+          }
+        }
+
+        if(partialText != null){
+          this.mainInstructionOutput.push(partialText[1]);
+        }
+        this.mainInstructionOutput.push(this.doneText(plan));
+        if(plan.finalOrder != null && plan.packs != null){
+          //Each pack bottom card first is its positions from start upwards, and finalOrder is top first.
+          for(let i = 0; i < plan.packs.piles.length; i++){
+            const pile = plan.packs.piles[i];
+            this.mainInstructionOutput.push(this.cardListPage(pile.name + " (" + plan.mat.matMappings[i] + "), top card first:",
+                                                              plan.finalOrder.slice(plan.numCards - pile.start - pile.size, plan.numCards - pile.start)));
+          }
+        } else if(plan.finalOrder != null){
+          this.mainInstructionOutput.push(this.cardListPage("Final order, top card first:", plan.finalOrder));
+        }
+        //In a batch, say which deck this is, and what to do with it once it's dealt.
+        if(this.batch != null){
+          const batch = this.batch;
+          const deck = batch.decks[batch.current];
+          this.mainInstructionOutput[0] = "\nDeck " + (batch.current + 1) + " of " + batch.decks.length + ": " + deck.name + " (" + plan.numCards + " cards), identifier "
+                                          + deck.id + ".\n" + this.mainInstructionOutput[0];
+          const next = this.nextBatchDeck();
+          this.mainInstructionOutput.push("\nMark this deck " + deck.id + " (" + deck.name + ") and set it aside.\n\n"
+                                          + (next != -1 ? "Click 'Next Deck' for deck " + (next + 1) + " of " + batch.decks.length + ": " + batch.decks[next].name + "."
+                                                        : "That's every deck - click 'Next Deck' for the batch report."));
+        }
 
+        sLog("Main Instructions\n",this.mainInstructionOutput);
+    }
+}
 
 
+//Export for Node (CommonJS) - in the browser these are just globals from the <script> tag. soft_shuffle.mjs re-exports these as an ES module.
+if(typeof module !== "undefined" && module.exports){
+  module.exports = {SoftDeck, SoftInstructions, SoftMat, SoftPlanner, SoftShuffle, SoftVerifier, SoftCostModel, SoftMatPrinter, SoftMatView, SoftPlanExporter, SoftDealCursor, SoftVoiceGuide, SoftSessionStore, SoftCommitment, SoftDeckDefinition, SoftMatDefinition, SoftConstraints, SoftMathRandomSource, SoftSeededRandomSource, SoftRandomBitPool,
+                    softDeckDefinition, softDeckDefinitionFromText, softPartialShuffleText, softMatDefinition, softGridMatDefinition, softMatDefinitionFromObject, softMatLibraryFromJSON, softMatLibraryToJSON, softMatLabel, softConstraintsFromText, softPositionsFromText, softMisdealFromText, softBatchFromText, softPacksFromText, softPlanId, softCardKey, softSortPermutation, softCrypto, softRandomSource, softSha256, softSha256Hex, softHex, softEscapeXML, softBitLength, softVerifyAll, setSoftLogging};
+}
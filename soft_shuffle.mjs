@@ -0,0 +1,30 @@
+// Copyright (C) 2024 Soft Shuffle Ltd <https://www.softshuffle.co.uk>
+// 
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as published
+// by the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+// 
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+// 
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+// 
+// It is available at https://github.com/SoftShuffle/soft-shuffler/
+// To discuss other licence options for commercial usage contact support@softshuffle.co.uk
+
+
+//ES module entry point for Node.
+//soft_shuffle.js has to stay a classic script so the html pages can load it with a plain <script> tag (and so it can be inlined),
+//so we load it as CommonJS and re-export what it exports.
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const softShuffle = require("./soft_shuffle.js");
+
+export const {SoftDeck, SoftInstructions, SoftMat, SoftPlanner, SoftShuffle, SoftVerifier, SoftCostModel, SoftMatPrinter, SoftMatView, SoftPlanExporter, SoftDealCursor, SoftVoiceGuide, SoftSessionStore, SoftCommitment, SoftDeckDefinition, SoftMatDefinition, SoftConstraints, SoftMathRandomSource, SoftSeededRandomSource, SoftRandomBitPool,
+              softDeckDefinition, softDeckDefinitionFromText, softPartialShuffleText, softMatDefinition, softGridMatDefinition, softMatDefinitionFromObject, softMatLibraryFromJSON, softMatLibraryToJSON, softMatLabel, softConstraintsFromText, softPositionsFromText, softMisdealFromText, softBatchFromText, softPacksFromText, softPlanId, softCardKey, softSortPermutation, softCrypto, softRandomSource, softSha256, softSha256Hex, softHex, softEscapeXML, softBitLength, softVerifyAll, setSoftLogging} = softShuffle;
+export default softShuffle;
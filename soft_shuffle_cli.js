@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+// Copyright (C) 2024 Soft Shuffle Ltd <https://www.softshuffle.co.uk>
+// The following code implements the Soft Shuffle algorithm developed by Dave Coulthurst.
+// 
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as published
+// by the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+// 
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+// 
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+// 
+// It is available at https://github.com/SoftShuffle/soft-shuffler/
+// To discuss other licence options for commercial usage contact support@softshuffle.co.uk
+
+
+// Command line front-end - prints (or saves) a full shuffle plan without opening a browser, for deal sheets made in scripts. Run with node, eg:
+//    node soft_shuffle_cli.js --cards 60 --rows 2 --cols 4
+//    node soft_shuffle_cli.js --cards 60 --rows 2 --cols 4 --instr-rows 2 --format csv --seed table7 --output deal.csv
+//    node soft_shuffle_cli.js --deck standard52 --rows 2 --cols 5 --gather forward --format json
+//    node soft_shuffle_cli.js --cards 120 --rows 2 --cols 5 --packs "8 packs of 15"       (straight into draft packs)
+//    node soft_shuffle_cli.js --deck standard52 --sort current.txt --rows 2 --cols 5   (deal the deck listed in current.txt back into new deck order)
+//    node soft_shuffle_cli.js --cards 500 --recommend                    (passes needed for every mat up to 10 x 10, and the least effort)
+// The plan is exported by SoftPlanExporter, so the text / csv / json / html is the same as 'Export Instructions' on the page,
+// and the settings are checked by SoftShuffle.validateInputs() against the same limits as main_page.html.
+// Exits 0 on success, 1 if the settings can't be used, 2 on bad arguments, 3 if the output file can't be written.
+
+const fs = require("fs");
+const {SoftShuffle, SoftPlanExporter, softDeckDefinition, softDeckDefinitionFromText} = require("./soft_shuffle.js");
+
+const usage = "Usage: node soft_shuffle_cli.js --cards N --rows N --cols N [--instr-rows N] [--format text|csv|json|html] [--seed S]\n"
+  + "         [--gather alternate|forward|backward] [--piles balanced|effort|uniform] [--deck standard52|standard54|shoeN|tarot]\n"
+  + "         [--deck-file FILE] [--packs PACKS [--shuffle-packs]] [--sort FILE] [--output FILE]\n"
+  + "   or: node soft_shuffle_cli.js --cards N --recommend [--rows MAX] [--cols MAX] [--piles balanced|effort|uniform] [--format text|json]";
+
+//The same limits as main_page.html.
+const limits = {numCards: [1, 10000], numColumns: [1, 10], numRows: [1, 10], numInstrRows: [1, 4]};
+
+function parseArgs(argv){
+  const options = {numInstrRows: 2, format: "text", seed: "", gatherDirection: "alternate", pileStrategy: "balanced",
+                   deck: null, deckFile: null, packs: "", shufflePacks: false, sortFile: null, output: null, recommend: false};
+  const numberArgs = {"--cards": "numCards", "--rows": "numRows", "--cols": "numColumns", "--instr-rows": "numInstrRows"};
+  const stringArgs = {"--format": "format", "--seed": "seed", "--gather": "gatherDirection", "--piles": "pileStrategy",
+                      "--deck": "deck", "--deck-file": "deckFile", "--packs": "packs", "--sort": "sortFile", "--output": "output"};
+  for(let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    if(arg == "--recommend"){
+      options.recommend = true;
+      continue;
+    }
+    if(arg == "--shuffle-packs"){
+      options.shufflePacks = true;
+      continue;
+    }
+    if(numberArgs[arg] === undefined && stringArgs[arg] === undefined){
+      throw new RangeError("Unknown argument '" + arg + "'");
+    }
+    if(i + 1 >= argv.length){
+      throw new RangeError(arg + " needs a value");
+    }
+    const value = argv[++i];
+    if(numberArgs[arg] !== undefined){
+      //Left as typed (eg 2.5 or NaN) for the settings checks to report.
+      options[numberArgs[arg]] = value.trim() === "" ? NaN : Number(value);
+    } else {
+      options[stringArgs[arg]] = value;
+    }
+  }
+  const formats = options.recommend ? ["text", "json"] : ["text", "csv", "json", "html"];
+  if(!formats.includes(options.format)){
+    throw new RangeError("Unknown format '" + options.format + "' (expected " + formats.join(", ") + ")");
+  }
+  if(!["alternate", "forward", "backward"].includes(options.gatherDirection)){
+    throw new RangeError("Unknown gather direction '" + options.gatherDirection + "' (expected alternate, forward or backward)");
+  }
+  if(!["balanced", "effort", "uniform"].includes(options.pileStrategy)){
+    throw new RangeError("Unknown pile strategy '" + options.pileStrategy + "' (expected balanced, effort or uniform)");
+  }
+  if(options.deck != null && softDeckDefinition(options.deck) == null){
+    throw new RangeError("Unknown deck '" + options.deck + "' (expected standard52, standard54, shoeN or tarot)");
+  }
+  if(options.sortFile != null && options.recommend){
+    throw new RangeError("--sort can't be used with --recommend");
+  }
+  //The files are read here, so one that's missing or can't be read (eg a directory) is a bad argument rather than settings that can't be used.
+  if(options.deckFile != null){
+    options.deckText = readArgFile("Deck", options.deckFile);
+  }
+  if(options.sortFile != null){
+    options.sortText = readArgFile("Sort", options.sortFile);
+  }
+  return options;
+}
+
+//The text of a file named on the command line. label ("Deck" or "Sort") names it in the RangeError if it can't be read.
+function readArgFile(label, path){
+  try {
+    return fs.readFileSync(path, "utf8");
+  } catch(e) {
+    throw new RangeError(label + " file '" + path + "' " + (e.code == "ENOENT" ? "not found" : "can't be read (" + e.message + ")"));
+  }
+}
+
+//A SoftShuffle reading its settings from the options rather than a page, so they get the page's checks. In recommend mode
+//Rows and Columns are the largest mat to consider, and default to the limits.
+function createShuffler(options){
+  const setting = function(name, fallback){ return function(){ return options[name] !== undefined ? options[name] : fallback; }; };
+  const shuffler = new SoftShuffle(function(){},
+                                   setting("numCards", NaN), limits.numCards[0], limits.numCards[1],
+                                   setting("numColumns", options.recommend ? limits.numColumns[1] : NaN), limits.numColumns[0], limits.numColumns[1],
+                                   setting("numRows", options.recommend ? limits.numRows[1] : NaN), limits.numRows[0], limits.numRows[1],
+                                   setting("numInstrRows", 2), limits.numInstrRows[0], limits.numInstrRows[1]);
+  shuffler.seedGetter = setting("seed", "");
+  shuffler.pileStrategyGetter = setting("pileStrategy", "balanced");
+  shuffler.gatherDirectionGetter = setting("gatherDirection", "alternate");
+  shuffler.packsGetter = setting("packs", "");
+  shuffler.shufflePacksGetter = setting("shufflePacks", false);
+  if(options.deck != null){
+    shuffler.deckDefinitionGetter = function(){ return softDeckDefinition(options.deck); };
+  } else if(options.deckFile != null){
+    shuffler.deckDefinitionGetter = function(){ return softDeckDefinitionFromText(options.deckFile, options.deckText); };
+  }
+  //Sorting deals the deck listed in the file into the --deck / --deck-file order.
+  if(options.sortFile != null){
+    shuffler.sortOrderGetter = function(){ return softDeckDefinitionFromText(options.sortFile, options.sortText); };
+  }
+  return shuffler;
+}
+
+//Passes needed (SoftPlanner.findNumPasses()) for every mat up to the shuffler's Rows * Columns, and the cheapest few by SoftCostModel.
+function recommend(shuffler, format){
+  const numCards = shuffler.numCards;
+  const passes = [];
+  for(let numRows = 1; numRows <= shuffler.numRows; numRows++){
+    for(let numColumns = 1; numColumns <= shuffler.numColumns; numColumns++){
+      passes.push({numRows: numRows, numColumns: numColumns, numPasses: shuffler.findNumPasses(numCards, numRows * numColumns)});
+    }
+  }
+  const recommended = shuffler.planner.recommendMats(numCards, shuffler.numRows, shuffler.numColumns, shuffler.pileStrategyGetter(), shuffler.costModel, 5);
+  if(format == "json"){
+    return JSON.stringify({numCards: numCards, maxPasses: shuffler.maxPasses, passes: passes, recommended: recommended}, null, 2) + "\n";
+  }
+
+  const lines = ["Passes needed for " + numCards + " cards (columns across, rows down, - for more than " + shuffler.maxPasses + "):", ""];
+  let header = "      ";
+  for(let numColumns = 1; numColumns <= shuffler.numColumns; numColumns++){
+    header += String(numColumns).padStart(4);
+  }
+  lines.push(header);
+  for(let numRows = 1; numRows <= shuffler.numRows; numRows++){
+    let line = String(numRows).padStart(4) + "  ";
+    for(const entry of passes.filter(function(entry){ return entry.numRows == numRows; })){
+      line += (entry.numPasses == -1 ? "-" : String(entry.numPasses)).padStart(4);
+    }
+    lines.push(line);
+  }
+  lines.push("");
+  lines.push("Least effort:");
+  recommended.forEach(function(entry, index){
+    lines.push((index + 1) + ". [" + entry.numColumns + "*" + entry.numRows + "] mat spaces (W*H), gather " + entry.gatherDirection + ", "
+               + entry.numPasses + " passes (piles per pass: " + entry.pileCounts.join(", ") + "), " + shuffler.costModel.describe(entry.cost));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function run(options){
+  const shuffler = createShuffler(options);
+  const errors = shuffler.validateInputs();
+  if(errors.length > 0){
+    return {exitCode: 1, errors: errors.map(function(error){ return shuffler.inputErrorText(error); })};
+  }
+  if(options.recommend){
+    return {exitCode: 0, output: recommend(shuffler, options.format)};
+  }
+  let plan;
+  try {
+    if(shuffler.sortOrder != null){
+      plan = shuffler.planner.plan({numRows: shuffler.numRows, numColumns: shuffler.numColumns, numInstrRows: shuffler.numInstrRows,
+                                    deckDefinition: shuffler.sortOrder, sortTarget: shuffler.deckDefinition,
+                                    pileStrategy: options.pileStrategy, gatherDirection: options.gatherDirection});
+    } else {
+      plan = shuffler.planner.plan({numCards: shuffler.numCards, numRows: shuffler.numRows, numColumns: shuffler.numColumns,
+                                    numInstrRows: shuffler.numInstrRows, seed: options.seed, deckDefinition: shuffler.deckDefinition, packs: shuffler.packs,
+                                    pileStrategy: options.pileStrategy, gatherDirection: options.gatherDirection});
+    }
+  } catch(e) {
+    return {exitCode: 1, errors: [e.message]};
+  }
+  const output = new SoftPlanExporter(plan).export(options.format);
+  return {exitCode: 0, output: output.endsWith("\n") ? output : output + "\n"};
+}
+
+if(require.main === module){
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch(e) {
+    console.error(e.message);
+    console.error(usage);
+    process.exit(2);
+  }
+  const result = run(options);
+  if(result.exitCode != 0){
+    console.error("Settings can't be used:");
+    for(const error of result.errors){
+      console.error("* " + error);
+    }
+    process.exit(result.exitCode);
+  }
+  if(options.output != null){
+    try {
+      fs.writeFileSync(options.output, result.output);
+    } catch(e) {
+      console.error("Couldn't write " + options.output + ": " + e.message);
+      process.exit(3);
+    }
+  } else {
+    process.stdout.write(result.output);
+  }
+}
+
+module.exports = {parseArgs, run};
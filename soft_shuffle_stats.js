@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// Copyright (C) 2024 Soft Shuffle Ltd <https://www.softshuffle.co.uk>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as published
+// by the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+//
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+//
+// It is available at https://github.com/SoftShuffle/soft-shuffler/
+// To discuss other licence options for commercial usage contact support@softshuffle.co.uk
+
+
+// Statistical uniformity tests for the randomisation in soft_shuffle.js.
+// Run with node, eg:
+//    node soft_shuffle_stats.js                      (all RNG modes, default sizes)
+//    node soft_shuffle_stats.js --mode crypto --trials 500000 --json
+// Exits 0 if every test passes, 1 if any fail, 2 on bad arguments.
+//
+// For each RNG mode we run:
+// * Valid permutations - every shuffle must be a permutation of 0..n-1 (catches off-by-one swaps outright).
+// * Position/value - chi-squared on the [starting position][final position] count matrix. Uniform shuffles put every card
+//   in every position equally often. Rows and columns both sum to the number of trials, so there are (n-1)^2 degrees of freedom.
+// * Permutation frequency - for a small deck every one of the n! orderings should come up equally often (n!-1 degrees of freedom).
+// * Rejection counts - with k bits drawn for a range 0..max, each draw is accepted with probability p = (max+1)/2^k,
+//   so the number of rejections before an accept is geometric: P(r) = (1-p)^r * p. We chi-squared the observed counts against that,
+//   for every max a shuffle uses. (Only for modes that use rejection sampling.)
+// Then, independent of the RNG, a deal replay: plan every mat size up to 10 x 10 for every number of passes (see softVerifyAll() in soft_shuffle.js),
+// which replays the instructions as shown to the user and checks they deal the deck into exactly the randomised order.
+// A test fails if its p-value is below alpha. With the default alpha of 0.001 and a dozen or so tests per run,
+// a correct implementation will still fail one very occasionally - rerun, and treat repeated failures as real.
+
+const {SoftDeck, SoftPlanner, SoftRandomBitPool, SoftMathRandomSource, SoftSeededRandomSource, softCrypto, softBitLength, softVerifyAll} = require("./soft_shuffle.js");
+
+// Each mode is the random source and sampling method used by randomiseDeck().
+// The seeded mode gets a fresh random seed each run (reported) so we're not just testing one stream.
+function createModes(){
+  const seedBytes = new Uint8Array(8);
+  softCrypto().getRandomValues(seedBytes);
+  const seed = Array.from(seedBytes, function(b){ return b.toString(16).padStart(2, "0"); }).join("");
+  return {
+    "crypto": {description: "crypto.getRandomValues with rejection sampling (the default)", useRejectionSampling: true,
+               createSource: function(){ return softCrypto(); }},
+    "crypto-scaled": {description: "crypto.getRandomValues scaled to the range (no rejection sampling)", useRejectionSampling: false,
+               createSource: function(){ return softCrypto(); }},
+    "seeded": {description: "seeded ChaCha20 stream with rejection sampling (seed " + seed + ")", useRejectionSampling: true,
+               createSource: function(){ return new SoftSeededRandomSource(seed); }},
+    "math": {description: "Math.random with rejection sampling (compatibility fallback)", useRejectionSampling: true,
+               createSource: function(){ return new SoftMathRandomSource(); }}
+  };
+}
+
+//Log of the gamma function (Lanczos approximation, as Numerical Recipes).
+function logGamma(x){
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  for(let i = 0; i < coefficients.length; i++){
+    series += coefficients[i] / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+//Upper regularised incomplete gamma function Q(a, x) - a series for x < a + 1, a continued fraction otherwise.
+function upperRegularisedGamma(a, x){
+  if(x <= 0){
+    return 1;
+  }
+  if(x < a + 1){
+    let term = 1 / a;
+    let sum = term;
+    for(let n = 1; n < 10000; n++){
+      term *= x / (a + n);
+      sum += term;
+      if(Math.abs(term) < Math.abs(sum) * 1e-15){
+        break;
+      }
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for(let i = 1; i < 10000; i++){
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if(Math.abs(d) < tiny){ d = tiny; }
+    c = b + an / c;
+    if(Math.abs(c) < tiny){ c = tiny; }
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if(Math.abs(delta - 1) < 1e-15){
+      break;
+    }
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+//p-value for a chi-squared statistic - the probability of a value at least this large if the counts really are from the expected distribution.
+function chiSquaredPValue(chiSquared, degreesOfFreedom){
+  return upperRegularisedGamma(degreesOfFreedom / 2, chiSquared / 2);
+}
+
+function chiSquared(observed, expected){
+  let total = 0;
+  for(let i = 0; i < observed.length; i++){
+    const difference = observed[i] - expected[i];
+    total += difference * difference / expected[i];
+  }
+  return total;
+}
+
+function factorial(n){
+  let result = 1;
+  for(let i = 2; i <= n; i++){
+    result *= i;
+  }
+  return result;
+}
+
+//Lehmer code - maps each permutation of 0..n-1 to a unique index 0..n!-1.
+function permutationIndex(permutation){
+  let index = 0;
+  for(let i = 0; i < permutation.length; i++){
+    let smallerAfter = 0;
+    for(let j = i + 1; j < permutation.length; j++){
+      if(permutation[j] < permutation[i]){
+        smallerAfter++;
+      }
+    }
+    index = index * (permutation.length - i) + smallerAfter;
+  }
+  return index;
+}
+
+function isPermutation(deck){
+  const seen = Array(deck.length).fill(false);
+  for(let i = 0; i < deck.length; i++){
+    if(!Number.isInteger(deck[i]) || deck[i] < 0 || deck[i] >= deck.length || seen[deck[i]]){
+      return false;
+    }
+    seen[deck[i]] = true;
+  }
+  return true;
+}
+
+function shuffledDeck(numCards, mode, randomSource){
+  const initialPositions = [];
+  for(let i = 0; i < numCards; i++){
+    initialPositions[i] = i;
+  }
+  const deck = new SoftDeck(numCards, initialPositions, 0);
+  deck.randomiseDeck(randomSource, mode.useRejectionSampling);
+  return deck.deckGetter();
+}
+
+function result(name, passed, details){
+  return Object.assign({name: name, passed: passed}, details);
+}
+
+function testPositionValue(mode, numCards, numTrials, alpha){
+  const randomSource = mode.createSource();
+  const counts = [];
+  for(let i = 0; i < numCards; i++){
+    counts[i] = Array(numCards).fill(0);
+  }
+  let numInvalid = 0;
+  for(let t = 0; t < numTrials; t++){
+    const deck = shuffledDeck(numCards, mode, randomSource);
+    if(!isPermutation(deck)){
+      numInvalid++;
+      continue;
+    }
+    for(let i = 0; i < numCards; i++){
+      counts[i][deck[i]]++;
+    }
+  }
+  const validTrials = numTrials - numInvalid;
+  const observed = [].concat.apply([], counts);
+  const expected = Array(observed.length).fill(validTrials / numCards);
+  const statistic = chiSquared(observed, expected);
+  const degreesOfFreedom = (numCards - 1) * (numCards - 1);
+  const pValue = chiSquaredPValue(statistic, degreesOfFreedom);
+  return [
+    result("valid permutations (" + numCards + " cards)", numInvalid == 0, {trials: numTrials, invalid: numInvalid}),
+    result("position/value chi-squared (" + numCards + " cards)", pValue >= alpha,
+           {trials: validTrials, chiSquared: statistic, degreesOfFreedom: degreesOfFreedom, pValue: pValue})
+  ];
+}
+
+function testPermutationFrequency(mode, numCards, numTrials, alpha){
+  const randomSource = mode.createSource();
+  const numPermutations = factorial(numCards);
+  const observed = Array(numPermutations).fill(0);
+  let validTrials = 0;
+  for(let t = 0; t < numTrials; t++){
+    const deck = shuffledDeck(numCards, mode, randomSource);
+    if(isPermutation(deck)){
+      observed[permutationIndex(deck)]++;
+      validTrials++;
+    }
+  }
+  const expected = Array(numPermutations).fill(validTrials / numPermutations);
+  const statistic = chiSquared(observed, expected);
+  const pValue = chiSquaredPValue(statistic, numPermutations - 1);
+  return [result("permutation frequency chi-squared (" + numCards + " cards, " + numPermutations + " orderings)", pValue >= alpha,
+                 {trials: validTrials, chiSquared: statistic, degreesOfFreedom: numPermutations - 1, pValue: pValue})];
+}
+
+//Rejections are bucketed 0..maxBucket-1 plus a tail bucket, with the tail shrunk until its expected count is at least 5 (the usual chi-squared rule of thumb).
+function testRejectionCounts(mode, numCards, numTrials, alpha){
+  const randomBits = new SoftRandomBitPool(mode.createSource());
+  const sampler = new SoftDeck(0, [], 0);
+  const results = [];
+  for(let maxValue = 1; maxValue < numCards; maxValue++){
+    const acceptProbability = (maxValue + 1) / Math.pow(2, softBitLength(maxValue));
+    let numBuckets = 1;
+    while(numTrials * Math.pow(1 - acceptProbability, numBuckets) >= 5 && numBuckets < 50){
+      numBuckets++;
+    }
+    const observed = Array(numBuckets).fill(0);
+    const instrumentation = [];
+    for(let t = 0; t < numTrials; t++){
+      sampler.rejectionSampleInstrumented(maxValue, instrumentation, randomBits);
+      observed[Math.min(instrumentation[0], numBuckets - 1)]++;
+    }
+    const expected = [];
+    for(let r = 0; r < numBuckets - 1; r++){
+      expected[r] = numTrials * Math.pow(1 - acceptProbability, r) * acceptProbability;
+    }
+    expected[numBuckets - 1] = numTrials * Math.pow(1 - acceptProbability, numBuckets - 1);
+
+    //A power of 2 range never rejects, so there's nothing to test beyond "no rejections".
+    if(numBuckets == 1){
+      results.push(result("rejection counts (range 0-" + maxValue + ")", observed[0] == numTrials, {trials: numTrials, acceptProbability: acceptProbability}));
+      continue;
+    }
+    const statistic = chiSquared(observed, expected);
+    const pValue = chiSquaredPValue(statistic, numBuckets - 1);
+    results.push(result("rejection counts (range 0-" + maxValue + ")", pValue >= alpha,
+                        {trials: numTrials, acceptProbability: acceptProbability, chiSquared: statistic, degreesOfFreedom: numBuckets - 1, pValue: pValue}));
+  }
+  return results;
+}
+
+//Run the whole suite. options: modes (names from createModes()), numCards, numTrials, numPermutationCards, alpha, skipDealReplay.
+function runStatisticalTests(options = {}){
+  const allModes = createModes();
+  const modeNames = options.modes || Object.keys(allModes);
+  const numCards = options.numCards || 10;
+  const numTrials = options.numTrials || 100000;
+  const numPermutationCards = options.numPermutationCards || 5;
+  const alpha = options.alpha || 0.001;
+
+  const report = {alpha: alpha, numCards: numCards, numTrials: numTrials, modes: [], passed: true};
+  for(const modeName of modeNames){
+    const mode = allModes[modeName];
+    if(mode === undefined){
+      throw new RangeError("Unknown mode '" + modeName + "', expected one of: " + Object.keys(allModes).join(", "));
+    }
+    let tests = [];
+    tests = tests.concat(testPositionValue(mode, numCards, numTrials, alpha));
+    tests = tests.concat(testPermutationFrequency(mode, numPermutationCards, numTrials, alpha));
+    if(mode.useRejectionSampling){
+      tests = tests.concat(testRejectionCounts(mode, numCards, numTrials, alpha));
+    }
+    const modePassed = tests.every(function(test){ return test.passed; });
+    report.modes.push({mode: modeName, description: mode.description, passed: modePassed, tests: tests});
+    report.passed = report.passed && modePassed;
+  }
+
+  if(!options.skipDealReplay){
+    const failures = softVerifyAll(new SoftPlanner(), 10, 10, 10000);
+    report.dealReplay = {passed: failures.length == 0, failures: failures};
+    report.passed = report.passed && report.dealReplay.passed;
+  }
+  return report;
+}
+
+function formatReport(report){
+  const lines = [];
+  lines.push("Soft Shuffle statistical uniformity report (alpha " + report.alpha + ", " + report.numTrials + " trials per test)");
+  for(const mode of report.modes){
+    lines.push("");
+    lines.push((mode.passed ? "PASS" : "FAIL") + "  " + mode.mode + " - " + mode.description);
+    for(const test of mode.tests){
+      let detail = "";
+      if(test.pValue !== undefined){
+        detail = "chi2 " + test.chiSquared.toFixed(2) + ", df " + test.degreesOfFreedom + ", p " + test.pValue.toFixed(4);
+      } else if(test.invalid !== undefined){
+        detail = test.invalid + " invalid of " + test.trials;
+      }
+      lines.push("   " + (test.passed ? "pass" : "FAIL") + "  " + test.name + (detail ? "  [" + detail + "]" : ""));
+    }
+  }
+  if(report.dealReplay !== undefined){
+    lines.push("");
+    lines.push((report.dealReplay.passed ? "PASS" : "FAIL") + "  deal replay - every mat up to 10 x 10, every pass count, instructions replayed to the randomised order");
+    for(const failure of report.dealReplay.failures){
+      lines.push("   FAIL  " + failure.numCards + " cards on " + failure.numColumns + " x " + failure.numRows + " mat: " + failure.reason);
+    }
+  }
+  lines.push("");
+  lines.push(report.passed ? "All tests passed." : "Some tests FAILED.");
+  return lines.join("\n");
+}
+
+function parseArgs(argv){
+  const options = {};
+  let json = false;
+  for(let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if(arg == "--json"){
+      json = true;
+    } else if(arg == "--skip-deal-replay"){
+      options.skipDealReplay = true;
+    } else if(arg == "--mode"){
+      options.modes = value == "all" ? undefined : value.split(",");
+      i++;
+    } else if(arg == "--trials"){
+      options.numTrials = parseInt(value);
+      i++;
+    } else if(arg == "--cards"){
+      options.numCards = parseInt(value);
+      i++;
+    } else if(arg == "--permutation-cards"){
+      options.numPermutationCards = parseInt(value);
+      i++;
+    } else if(arg == "--alpha"){
+      options.alpha = parseFloat(value);
+      i++;
+    } else {
+      throw new RangeError("Unknown argument '" + arg + "'");
+    }
+  }
+  return {options: options, json: json};
+}
+
+if(require.main === module){
+  let parsed;
+  let report;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+    report = runStatisticalTests(parsed.options);
+  } catch(e) {
+    console.error(e.message);
+    console.error("Usage: node soft_shuffle_stats.js [--mode all|crypto|crypto-scaled|seeded|math] [--trials N] [--cards N] [--permutation-cards N] [--alpha A] [--skip-deal-replay] [--json]");
+    process.exit(2);
+  }
+  console.log(parsed.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  process.exit(report.passed ? 0 : 1);
+}
+
+module.exports = {runStatisticalTests, formatReport, chiSquaredPValue};
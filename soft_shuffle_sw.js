@@ -0,0 +1,64 @@
+// Copyright (C) 2024 Soft Shuffle Ltd <https://www.softshuffle.co.uk>
+// The following code implements the Soft Shuffle algorithm developed by Dave Coulthurst.
+// 
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as published
+// by the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+// 
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+// 
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+// 
+// It is available at https://github.com/SoftShuffle/soft-shuffler/
+// To discuss other licence options for commercial usage contact support@softshuffle.co.uk
+
+
+//Service worker for main_page.html, so the app works offline once it has been opened (or installed) over http(s).
+//Everything the page needs is cached on install; requests are answered from the cache first, then the network
+//(whose answer refreshes the cache, so an update is picked up the time after it's published).
+//Bump cacheName when the list of files changes - old caches are deleted when the new worker activates.
+const cacheName = "soft-shuffle-v2";
+const cachedFiles = ["main_page.html", "soft_shuffle.js", "soft_shuffle.webmanifest", "soft_shuffle_icon.svg", "combined_main_page.html", "soft_shuffle_verifier.html"];
+
+self.addEventListener("install", function(event) {
+    event.waitUntil(caches.open(cacheName).then(function(cache) {
+        return cache.addAll(cachedFiles);
+    }).then(function() {
+        return self.skipWaiting();
+    }));
+});
+
+self.addEventListener("activate", function(event) {
+    event.waitUntil(caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) { return name != cacheName; }).map(function(name) { return caches.delete(name); }));
+    }).then(function() {
+        return self.clients.claim();
+    }));
+});
+
+self.addEventListener("fetch", function(event) {
+    if(event.request.method != "GET"){
+        return;
+    }
+    event.respondWith(caches.open(cacheName).then(function(cache) {
+        return cache.match(event.request, {ignoreSearch: true}).then(function(cached) {
+            const fetched = fetch(event.request).then(function(response) {
+                if(response.ok && new URL(event.request.url).origin == self.location.origin){
+                    cache.put(event.request, response.clone());
+                }
+                return response;
+            });
+            if(cached){
+                //Still refresh the cache in the background, but don't let an offline failure surface.
+                event.waitUntil(fetched.catch(function() {}));
+                return cached;
+            }
+            return fetched;
+        });
+    }));
+});